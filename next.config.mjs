@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Book readers used by the library routes load files at runtime and should not be bundled
+  serverExternalPackages: ['epub', 'pdfjs-dist'],
+};
 
 export default nextConfig;
@@ -0,0 +1,27 @@
+// app/api/books/[id]/reindex/route.js
+import { NextResponse } from 'next/server'
+import { startIngestion } from '@/lib/library'
+
+// Re-ingest a book in the background; { "force": true } re-embeds every chunk
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params
+    const { force = false } = await request.json().catch(() => ({}))
+    const job = startIngestion(id, { force: force === true })
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Book file not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ job }, { status: 202 })
+  } catch (error) {
+    console.error('Error re-indexing book:', error)
+    return NextResponse.json(
+      { error: `Failed to re-index book: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
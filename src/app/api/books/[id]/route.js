@@ -0,0 +1,26 @@
+// app/api/books/[id]/route.js
+import { NextResponse } from 'next/server'
+import { removeBook } from '@/lib/library'
+
+// Remove a book's chunks from the index and delete its file, in the background
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params
+    const job = await removeBook(id)
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Book not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ job }, { status: 202 })
+  } catch (error) {
+    console.error('Error deleting book:', error)
+    return NextResponse.json(
+      { error: `Failed to delete book: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
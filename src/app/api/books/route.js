@@ -0,0 +1,69 @@
+// app/api/books/route.js
+import { NextResponse } from 'next/server'
+import { listLibrary, addBook } from '@/lib/library'
+import { SUPPORTED_EXTENSIONS, isSupportedBookFile } from '@/lib/book-loader'
+
+const MAX_UPLOAD_BYTES = 100 * 1024 * 1024
+
+// List books with their chunk counts and ingestion status
+export async function GET() {
+  try {
+    const books = await listLibrary()
+    return NextResponse.json({ books })
+  } catch (error) {
+    console.error('Error listing books:', error)
+    return NextResponse.json(
+      { error: `Failed to list books: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
+
+// Upload a book file (multipart field "file") and ingest it in the background
+export async function POST(request) {
+  try {
+    const formData = await request.formData().catch(() => null)
+    const file = formData?.get('file')
+
+    if (!file || typeof file === 'string') {
+      return NextResponse.json(
+        { error: 'A book file is required (multipart form field "file")' },
+        { status: 400 }
+      )
+    }
+
+    // Browsers send a bare file name, but strip any directories to be safe
+    const fileName = file.name.split(/[\\/]/).pop().trim()
+
+    if (!isSupportedBookFile(fileName)) {
+      return NextResponse.json(
+        { error: `Unsupported file type. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (file.size === 0 || file.size > MAX_UPLOAD_BYTES) {
+      return NextResponse.json(
+        { error: `Book files must be between 1 byte and ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` },
+        { status: 400 }
+      )
+    }
+
+    const job = addBook(fileName, Buffer.from(await file.arrayBuffer()))
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Invalid file name' },
+        { status: 400 }
+      )
+    }
+
+    return NextResponse.json({ fileName, job }, { status: 202 })
+  } catch (error) {
+    console.error('Error uploading book:', error)
+    return NextResponse.json(
+      { error: `Failed to upload book: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -1,11 +1,126 @@
 // app/api/chat/route.js
 import { NextResponse } from 'next/server'
-import { generateEmbedding, generateChatResponse } from '@/lib/openai'
-import { searchBookChunks, getBookStats } from '@/lib/supabase'
+import { generateEmbedding, generateChatResponse, streamChatResponse, rewriteQuestion, selectContextChunks } from '@/lib/openai'
+import { hybridSearchBookChunks, getBookStats, getVectorStoreName } from '@/lib/vector-store'
+import { rerankChunks } from '@/lib/reranker'
+import { parseBookFilter, resolveBookScopes } from '@/lib/book-scope'
+import { verifyAnswer } from '@/lib/grounding'
+import { assessConfidence } from '@/lib/confidence'
+import { getChatProvider, getEmbeddingProvider } from '@/lib/providers'
+import { getEmbeddingCacheStats } from '@/lib/embedding-cache'
+import { findCachedAnswer, cacheAnswer, getAnswerCacheStats } from '@/lib/answer-cache'
+import { SSE_HEADERS, encodeEvent } from '@/lib/sse'
+
+const MAX_HISTORY_MESSAGES = 20
+
+// Keep only well-formed user/assistant turns from the client-supplied history
+function sanitizeHistory(history) {
+  if (!Array.isArray(history)) {
+    return []
+  }
+
+  return history
+    .filter(turn =>
+      turn &&
+      (turn.role === 'user' || turn.role === 'assistant') &&
+      typeof turn.content === 'string' &&
+      turn.content.trim().length > 0
+    )
+    .slice(-MAX_HISTORY_MESSAGES)
+    .map(turn => ({ role: turn.role, content: turn.content }))
+}
+
+const NO_RESULTS_ANSWER = "I cannot find any relevant information about that topic in the available books. Could you try rephrasing your question or asking about a different topic?"
+
+// Prepare source information with book titles and references
+function formatSources(topChunks) {
+  return topChunks.map((chunk, index) => ({
+    id: chunk.id,
+    bookTitle: chunk.metadata?.book_title || 'Unknown Book',
+    chunkIndex: chunk.metadata?.chunk_index ?? index,
+    pageNumber: chunk.metadata?.page_number || null,
+    pageEnd: chunk.metadata?.page_end || null,
+    chapter: chunk.metadata?.chapter || null,
+    section: chunk.metadata?.section || null,
+    similarity: Math.round(chunk.similarity * 100),
+    rerankScore: chunk.rerankScore != null ? Math.round(chunk.rerankScore * 100) : null,
+    preview: chunk.content.substring(0, 200) + '...'
+  }))
+}
+
+// Stream sources first, then the answer tokens, then the check of the answer against its sources,
+// as server-sent events. A cached answer is sent as a single token with its earlier check;
+// onComplete receives a newly generated answer and its check once both are finished
+function createAnswerStream(request, question, history, topChunks, retrieval, { cachedAnswer = null, onComplete } = {}) {
+  const encoder = new TextEncoder()
+  const abortController = new AbortController()
+
+  // Stop generating when the client disconnects or presses Stop
+  request.signal?.addEventListener('abort', () => abortController.abort())
+
+  return new ReadableStream({
+    async start(controller) {
+      controller.enqueue(encodeEvent(encoder, 'sources', retrieval))
+
+      try {
+        let usage = null
+        let answer = ''
+
+        if (topChunks.length === 0) {
+          controller.enqueue(encodeEvent(encoder, 'token', { text: NO_RESULTS_ANSWER }))
+        } else if (cachedAnswer) {
+          controller.enqueue(encodeEvent(encoder, 'token', { text: cachedAnswer.answer }))
+          controller.enqueue(encodeEvent(encoder, 'done', { usage }))
+          if (cachedAnswer.verification) {
+            controller.enqueue(encodeEvent(encoder, 'verification', cachedAnswer.verification))
+          }
+          return
+        } else {
+          const onUsage = (reported) => { usage = reported }
+          for await (const token of streamChatResponse(question, topChunks, { history, signal: abortController.signal, onUsage })) {
+            answer += token
+            controller.enqueue(encodeEvent(encoder, 'token', { text: token }))
+          }
+        }
+        controller.enqueue(encodeEvent(encoder, 'done', { usage }))
+
+        // The answer is complete at this point; verification only annotates it, so a failure is not an error
+        if (answer) {
+          let verification = null
+          try {
+            verification = await verifyAnswer(answer, topChunks)
+            if (verification && !abortController.signal.aborted) {
+              controller.enqueue(encodeEvent(encoder, 'verification', verification))
+            }
+          } catch (error) {
+            console.error('Error verifying answer:', error)
+          }
+          if (!abortController.signal.aborted) {
+            onComplete?.(answer, verification)
+          }
+        }
+      } catch (error) {
+        if (!abortController.signal.aborted) {
+          console.error('Error streaming chat response:', error)
+          controller.enqueue(encodeEvent(encoder, 'error', { error: error.message }))
+        }
+      } finally {
+        try {
+          controller.close()
+        } catch {
+          // Stream already closed by the client
+        }
+      }
+    },
+    cancel() {
+      abortController.abort()
+    }
+  })
+}
 
 export async function POST(request) {
   try {
-    const { question } = await request.json()
+    const { question, history: rawHistory, filter: rawFilter, stream = false } = await request.json()
 
     if (!question || typeof question !== 'string' || question.trim().length === 0) {
       return NextResponse.json(
@@ -21,75 +136,117 @@ export async function POST(request) {
       )
     }
 
+    // Optionally restrict retrieval to some books or chapter ranges
+    const { filter, error: filterError } = parseBookFilter(rawFilter)
+    if (filterError) {
+      return NextResponse.json({ error: filterError }, { status: 400 })
+    }
+
+    let scopes = null
+    if (filter) {
+      const { bookBreakdown } = await getBookStats()
+      const resolved = resolveBookScopes(filter, bookBreakdown)
+      if (resolved.error) {
+        return NextResponse.json({ error: resolved.error }, { status: 400 })
+      }
+      scopes = resolved.scopes
+    }
+
     console.log('Processing question:', question.substring(0, 100) + '...')
 
-    // Generate embedding for the user's question
-    const questionEmbedding = await generateEmbedding(question)
+    // Turn follow-ups into standalone queries so retrieval doesn't lose the conversation context
+    const history = sanitizeHistory(rawHistory)
+    const searchQuery = await rewriteQuestion(question, history)
 
-    // Search for similar chunks in Supabase with progressive thresholds
-    let relevantChunks = await searchBookChunks(
-      questionEmbedding,
-      0.3, // Start with 30% similarity
-      10
-    )
+    if (searchQuery !== question) {
+      console.log('Rewritten search query:', searchQuery.substring(0, 100) + '...')
+    }
 
-    console.log(`Found ${relevantChunks.length} chunks with 30% threshold`)
+    // Generate embedding for the standalone search query
+    const questionEmbedding = await generateEmbedding(searchQuery)
 
-    if (relevantChunks.length === 0) {
-      relevantChunks = await searchBookChunks(
-        questionEmbedding,
-        0.2, // Try 20%
-        15
-      )
-      console.log(`Found ${relevantChunks.length} chunks with 20% threshold`)
+    // Search by meaning and by exact terms, then fuse both rankings
+    const relevantChunks = await hybridSearchBookChunks(searchQuery, questionEmbedding, 20, scopes)
+
+    // Rescore the candidates against the question and keep 5 relevant, non-overlapping chunks,
+    // as many of them as fit in the model's context budget
+    const topChunks = selectContextChunks(await rerankChunks(searchQuery, relevantChunks, 5))
+
+    // Weigh retrieval scores, their spread, the reranker and the model's own judgment; below the
+    // configured level, say the answer is not in the books rather than answering from weak matches
+    const assessment = await assessConfidence(searchQuery, relevantChunks, topChunks)
+    const answerChunks = assessment.answerable ? topChunks : []
+
+    // Reuse the answer to an earlier question that means nearly the same and was answered from these
+    // same chunks. Only questions asked without history are looked up and stored, since those stand
+    // alone; a follow-up is answered from the conversation even when its rewrite matches an earlier question
+    const { name: chatProvider, chatModel } = getChatProvider()
+    const answerCacheKey = {
+      embedding: questionEmbedding,
+      embeddingModel: getEmbeddingProvider().modelKey,
+      chunks: answerChunks,
+      chatModel: `${chatProvider}:${chatModel}`
+    }
+    const cachedAnswer = history.length === 0 ? findCachedAnswer(answerCacheKey) : null
+    const rememberAnswer = (answer, verification) => {
+      if (history.length === 0) {
+        cacheAnswer({ ...answerCacheKey, question: searchQuery, answer, verification })
+      }
     }
 
-    if (relevantChunks.length === 0) {
-      relevantChunks = await searchBookChunks(
-        questionEmbedding,
-        0.1, // Try 10%
-        20
-      )
-      console.log(`Found ${relevantChunks.length} chunks with 10% threshold`)
+    if (cachedAnswer) {
+      console.log(`Reusing cached answer to "${cachedAnswer.question.substring(0, 100)}" (${Math.round(cachedAnswer.similarity * 100)}% similar)`)
     }
 
-    if (relevantChunks.length === 0) {
-      return NextResponse.json({
-        answer: "I cannot find any relevant information about that topic in the available books. Could you try rephrasing your question or asking about a different topic?",
-        sources: [],
-        confidence: 0,
-        chunksFound: 0
-      })
+    const retrieval = {
+      sources: formatSources(topChunks),
+      confidence: assessment.score,
+      confidenceLevel: assessment.level,
+      confidenceSignals: assessment.signals,
+      answerable: assessment.answerable,
+      suggestions: assessment.answerable ? [] : assessment.suggestions,
+      chunksFound: relevantChunks.length,
+      searchQuery,
+      // Set when the answer is an earlier one reused from the answer cache
+      cachedAnswer: cachedAnswer
+        ? { question: cachedAnswer.question, similarity: cachedAnswer.similarity, createdAt: cachedAnswer.createdAt }
+        : null
     }
 
-    // Take top 5 chunks for response
-    const topChunks = relevantChunks.slice(0, 5)
+    if (stream) {
+      return new Response(createAnswerStream(request, question, history, answerChunks, retrieval, { cachedAnswer, onComplete: rememberAnswer }), { headers: SSE_HEADERS })
+    }
 
-    // Generate response using GPT-4o with the relevant chunks
-    const answer = await generateChatResponse(question, topChunks)
+    if (answerChunks.length === 0) {
+      return NextResponse.json({
+        answer: NO_RESULTS_ANSWER,
+        ...retrieval
+      })
+    }
 
-    // Prepare source information with book titles and references
-    const sources = topChunks.map((chunk, index) => ({
-      id: chunk.id,
-      bookTitle: chunk.metadata?.book_title || 'Unknown Book',
-      chunkIndex: chunk.metadata?.chunk_index || index,
-      pageNumber: chunk.metadata?.page_number || null,
-      chapter: chunk.metadata?.chapter || null,
-      similarity: Math.round(chunk.similarity * 100),
-      preview: chunk.content.substring(0, 200) + '...'
-    }))
+    if (cachedAnswer) {
+      return NextResponse.json({
+        answer: cachedAnswer.answer,
+        ...retrieval,
+        usage: null,
+        verification: cachedAnswer.verification
+      })
+    }
 
-    const averageConfidence = topChunks.length > 0 
-      ? Math.round(topChunks.reduce((sum, chunk) => sum + chunk.similarity, 0) / topChunks.length * 100)
-      : 0
+    // Generate response with the configured chat model and the relevant chunks
+    const { answer, usage } = await generateChatResponse(question, answerChunks, history)
 
     console.log('Response generated successfully')
 
+    // Check each claim of the answer against the chunks it was generated from
+    const verification = await verifyAnswer(answer, answerChunks)
+    rememberAnswer(answer, verification)
+
     return NextResponse.json({
       answer,
-      sources,
-      confidence: averageConfidence,
-      chunksFound: relevantChunks.length
+      ...retrieval,
+      usage,
+      verification
     })
 
   } catch (error) {
@@ -109,8 +266,20 @@ export async function GET() {
     return NextResponse.json({
       status: 'Chat API is running',
       timestamp: new Date().toISOString(),
+      vectorStore: getVectorStoreName(),
+      chatModel: `${getChatProvider().name}:${getChatProvider().chatModel}`,
+      embeddingModel: getEmbeddingProvider().modelKey,
+      embeddingCache: getEmbeddingCacheStats(),
+      answerCache: getAnswerCacheStats(),
       chunksLoaded: stats.totalChunks,
       booksLoaded: stats.totalBooks,
+      // Books and their chapters, in reading order, for scoping questions
+      books: Object.entries(stats.bookBreakdown).map(([title, book]) => ({
+        id: book.id,
+        title,
+        chunkCount: book.chunkCount,
+        chapters: book.chapters.map(chapter => chapter.title)
+      })),
       message: stats.totalChunks > 0 ? 'Ready to answer questions' : 'No book data found - upload books first'
     })
   } catch (error) {
@@ -0,0 +1,100 @@
+// app/api/conversations/[id]/route.js
+import { NextResponse } from 'next/server'
+import { getConversation, updateConversation, deleteConversation } from '@/lib/conversation-store'
+
+const MAX_TITLE_LENGTH = 200
+
+function notFound() {
+  return NextResponse.json(
+    { error: 'Conversation not found' },
+    { status: 404 }
+  )
+}
+
+// Get a conversation with its messages
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const conversation = await getConversation(id)
+
+    if (!conversation) {
+      return notFound()
+    }
+
+    return NextResponse.json({ conversation })
+  } catch (error) {
+    console.error('Error getting conversation:', error)
+    return NextResponse.json(
+      { error: `Failed to get conversation: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
+
+// Rename a conversation and/or replace its messages
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params
+    const body = await request.json().catch(() => null)
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return NextResponse.json(
+        { error: 'Request body must be a JSON object' },
+        { status: 400 }
+      )
+    }
+
+    const { title, messages } = body
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      return NextResponse.json(
+        { error: 'Title must be a non-empty string' },
+        { status: 400 }
+      )
+    }
+
+    if (messages !== undefined && !Array.isArray(messages)) {
+      return NextResponse.json(
+        { error: 'Messages must be an array' },
+        { status: 400 }
+      )
+    }
+
+    const conversation = await updateConversation(id, {
+      title: title !== undefined ? title.trim().substring(0, MAX_TITLE_LENGTH) : undefined,
+      messages
+    })
+
+    if (!conversation) {
+      return notFound()
+    }
+
+    return NextResponse.json({ conversation })
+  } catch (error) {
+    console.error('Error updating conversation:', error)
+    return NextResponse.json(
+      { error: `Failed to update conversation: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
+
+// Delete a conversation
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params
+    const deleted = await deleteConversation(id)
+
+    if (!deleted) {
+      return notFound()
+    }
+
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('Error deleting conversation:', error)
+    return NextResponse.json(
+      { error: `Failed to delete conversation: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,53 @@
+// app/api/conversations/route.js
+import { NextResponse } from 'next/server'
+import { listConversations, createConversation } from '@/lib/conversation-store'
+
+const MAX_TITLE_LENGTH = 200
+
+// List all conversation threads
+export async function GET() {
+  try {
+    const conversations = await listConversations()
+    return NextResponse.json({ conversations })
+  } catch (error) {
+    console.error('Error listing conversations:', error)
+    return NextResponse.json(
+      { error: `Failed to list conversations: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
+
+// Create a new conversation thread
+export async function POST(request) {
+  try {
+    const { title, messages } = await request.json().catch(() => ({}))
+
+    if (title !== undefined && (typeof title !== 'string' || title.trim().length === 0)) {
+      return NextResponse.json(
+        { error: 'Title must be a non-empty string' },
+        { status: 400 }
+      )
+    }
+
+    if (messages !== undefined && !Array.isArray(messages)) {
+      return NextResponse.json(
+        { error: 'Messages must be an array' },
+        { status: 400 }
+      )
+    }
+
+    const conversation = await createConversation({
+      title: title ? title.trim().substring(0, MAX_TITLE_LENGTH) : undefined,
+      messages
+    })
+
+    return NextResponse.json({ conversation }, { status: 201 })
+  } catch (error) {
+    console.error('Error creating conversation:', error)
+    return NextResponse.json(
+      { error: `Failed to create conversation: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
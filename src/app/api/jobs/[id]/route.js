@@ -0,0 +1,67 @@
+// app/api/jobs/[id]/route.js
+import { NextResponse } from 'next/server'
+import { getLibraryJob, watchLibraryJob } from '@/lib/library'
+import { SSE_HEADERS, encodeEvent } from '@/lib/sse'
+
+const isFinished = (job) => job.status === 'completed' || job.status === 'failed'
+
+// Push the job as a "job" event on every change, closing the stream once it has finished
+function createJobStream(request, job) {
+  const encoder = new TextEncoder()
+  let stopWatching = () => {}
+
+  return new ReadableStream({
+    start(controller) {
+      const close = () => {
+        stopWatching()
+        try {
+          controller.close()
+        } catch {
+          // Stream already closed by the client
+        }
+      }
+
+      controller.enqueue(encodeEvent(encoder, 'job', job))
+      if (isFinished(job)) {
+        close()
+        return
+      }
+
+      stopWatching = watchLibraryJob(job.id, (updated) => {
+        controller.enqueue(encodeEvent(encoder, 'job', updated))
+        if (isFinished(updated)) close()
+      })
+      request.signal?.addEventListener('abort', close)
+    },
+    cancel() {
+      stopWatching()
+    }
+  })
+}
+
+// Status of an ingestion or delete job; ?stream=true pushes updates as server-sent events instead
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params
+    const job = getLibraryJob(id)
+
+    if (!job) {
+      return NextResponse.json(
+        { error: 'Job not found' },
+        { status: 404 }
+      )
+    }
+
+    if (request.nextUrl.searchParams.get('stream') === 'true') {
+      return new Response(createJobStream(request, job), { headers: SSE_HEADERS })
+    }
+
+    return NextResponse.json({ job })
+  } catch (error) {
+    console.error('Error reading job:', error)
+    return NextResponse.json(
+      { error: `Failed to read job: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,105 @@
+// app/api/passages/route.js
+import { NextResponse } from 'next/server'
+import { getBookChunkRange } from '@/lib/vector-store'
+
+const DEFAULT_NEIGHBORS = 2
+const MAX_NEIGHBORS = 20
+
+// Parse a neighbour count from the query string, clamped to what a single request may read
+function parseNeighborCount(value) {
+  if (value === null) return DEFAULT_NEIGHBORS
+  const count = parseInt(value)
+  return Number.isInteger(count) ? Math.min(Math.max(count, 0), MAX_NEIGHBORS) : DEFAULT_NEIGHBORS
+}
+
+// Length of the longest end of the previous chunk's text that this chunk's text starts with, cut between words.
+// Both were normalized the same way when chunking, so repeated text matches exactly
+function overlapLength(previousContent, content) {
+  for (let start = Math.max(previousContent.length - content.length, 0); start < previousContent.length; start++) {
+    if (start > 0 && !/\s/.test(previousContent[start - 1])) continue
+
+    const suffix = previousContent.slice(start)
+    if (content.startsWith(suffix) && (suffix.length === content.length || /\s/.test(content[suffix.length]))) {
+      return suffix.length
+    }
+  }
+  return 0
+}
+
+// Consecutive chunks repeat some text as overlap; drop it so the passage reads continuously
+function toPassageChunks(chunks) {
+  let previous = null
+
+  return chunks.map(chunk => {
+    const { metadata } = chunk
+    let content = chunk.content
+
+    // Source offsets tell whether the chunks overlap at all; the text itself tells by how much
+    const continuesPrevious = previous &&
+      metadata.chunk_index === previous.metadata.chunk_index + 1 &&
+      metadata.section_index === previous.metadata.section_index &&
+      Number.isInteger(metadata.char_start) && Number.isInteger(previous.metadata.char_end)
+
+    if (continuesPrevious && metadata.char_start < previous.metadata.char_end) {
+      content = content.slice(overlapLength(previous.content, content)).replace(/^\s+/, '')
+    }
+    previous = chunk
+
+    return {
+      chunkIndex: metadata.chunk_index,
+      content,
+      chapter: metadata.chapter || null,
+      section: metadata.section || null,
+      pageNumber: metadata.page_number || null,
+      // A gap in the source (a new section) starts a new block in the viewer
+      continuesPrevious: Boolean(continuesPrevious)
+    }
+  })
+}
+
+// Return a chunk's full text with the chunks before and after it in the same book:
+// GET /api/passages?book=<title>&chunk=<chunk_index>&before=2&after=2
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl
+    const bookTitle = searchParams.get('book')
+    const chunkIndex = parseInt(searchParams.get('chunk'))
+
+    if (!bookTitle || !Number.isInteger(chunkIndex) || chunkIndex < 0) {
+      return NextResponse.json(
+        { error: 'book and a non-negative chunk index are required' },
+        { status: 400 }
+      )
+    }
+
+    const before = parseNeighborCount(searchParams.get('before'))
+    const after = parseNeighborCount(searchParams.get('after'))
+    const chunks = await getBookChunkRange(bookTitle, Math.max(chunkIndex - before, 0), chunkIndex + after)
+
+    if (!chunks.some(chunk => chunk.metadata.chunk_index === chunkIndex)) {
+      return NextResponse.json(
+        { error: 'Chunk not found' },
+        { status: 404 }
+      )
+    }
+
+    const bookChunkCount = chunks[0].metadata.book_chunk_count ?? null
+
+    return NextResponse.json({
+      bookTitle,
+      chunkIndex,
+      // Neighbour counts actually applied, which stop growing at the limit
+      before,
+      after,
+      chunks: toPassageChunks(chunks),
+      hasMoreBefore: chunks[0].metadata.chunk_index > 0,
+      hasMoreAfter: bookChunkCount === null || chunks[chunks.length - 1].metadata.chunk_index < bookChunkCount - 1
+    })
+  } catch (error) {
+    console.error('Error reading passage:', error)
+    return NextResponse.json(
+      { error: `Failed to read passage: ${error.message}` },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,5 @@
+import LibraryManager from "@/components/LibraryManager";
+
+export default function LibraryPage() {
+  return <LibraryManager />;
+}
@@ -0,0 +1,123 @@
+'use client'
+
+import { useState } from 'react'
+import { Library, ChevronDown } from 'lucide-react'
+
+// Turn the picker selection ({ [bookId]: { from, to } }) into the `filter` accepted by /api/chat
+export function toBookFilter(selection, books) {
+  const filter = { books: [], chapters: [] }
+
+  books.forEach(book => {
+    const range = selection[book.id]
+    if (!range) return
+
+    const wholeBook = book.chapters.length === 0 ||
+      (range.from === book.chapters[0] && range.to === book.chapters[book.chapters.length - 1])
+
+    if (wholeBook) {
+      filter.books.push(book.id)
+    } else {
+      filter.chapters.push({ book: book.id, from: range.from, to: range.to })
+    }
+  })
+
+  return filter.books.length + filter.chapters.length > 0 ? filter : null
+}
+
+export default function BookPicker({ books, selection, disabled, onChange }) {
+  const [isOpen, setIsOpen] = useState(false)
+
+  const selectedCount = books.filter(book => selection[book.id]).length
+  const label = selectedCount === 0
+    ? 'All books'
+    : selectedCount === 1
+      ? books.find(book => selection[book.id]).title
+      : `${selectedCount} books`
+
+  const toggleBook = (book) => {
+    const next = { ...selection }
+    if (next[book.id]) {
+      delete next[book.id]
+    } else {
+      next[book.id] = { from: book.chapters[0] ?? null, to: book.chapters[book.chapters.length - 1] ?? null }
+    }
+    onChange(next)
+  }
+
+  // Keep the range ordered: moving one end past the other moves both
+  const setChapter = (book, end, chapter) => {
+    const range = { ...selection[book.id], [end]: chapter }
+    const fromIndex = book.chapters.indexOf(range.from)
+    const toIndex = book.chapters.indexOf(range.to)
+    if (fromIndex > toIndex) {
+      range[end === 'from' ? 'to' : 'from'] = chapter
+    }
+    onChange({ ...selection, [book.id]: range })
+  }
+
+  if (books.length === 0) return null
+
+  return (
+    <div className="relative mb-2">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        disabled={disabled}
+        className="px-3 py-1.5 text-sm border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:bg-gray-100 disabled:cursor-not-allowed flex items-center gap-2 max-w-full"
+      >
+        <Library className="w-4 h-4 flex-shrink-0" />
+        <span className="truncate">Search in: {label}</span>
+        <ChevronDown className="w-4 h-4 flex-shrink-0" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute bottom-full mb-2 left-0 w-full max-w-lg bg-white border border-gray-200 rounded-lg shadow-lg p-3 space-y-3 z-10 max-h-80 overflow-y-auto">
+          <div className="flex items-center justify-between">
+            <span className="text-xs font-medium text-gray-500">Limit answers to these books</span>
+            {selectedCount > 0 && (
+              <button type="button" onClick={() => onChange({})} className="text-xs text-blue-600 hover:underline">
+                Search all books
+              </button>
+            )}
+          </div>
+
+          {books.map(book => (
+            <div key={book.id} className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-800">
+                <input
+                  type="checkbox"
+                  checked={Boolean(selection[book.id])}
+                  onChange={() => toggleBook(book)}
+                  className="rounded border-gray-300"
+                />
+                <span className="truncate">{book.title}</span>
+                <span className="text-xs text-gray-500 flex-shrink-0">{book.chunkCount} chunks</span>
+              </label>
+
+              {selection[book.id] && book.chapters.length > 1 && (
+                <div className="ml-6 grid grid-cols-[auto_1fr] items-center gap-x-2 gap-y-1 text-xs text-gray-600">
+                  <span>From</span>
+                  <select
+                    value={selection[book.id].from}
+                    onChange={(e) => setChapter(book, 'from', e.target.value)}
+                    className="border border-gray-300 rounded px-1 py-0.5 min-w-0"
+                  >
+                    {book.chapters.map(chapter => <option key={chapter} value={chapter}>{chapter}</option>)}
+                  </select>
+                  <span>To</span>
+                  <select
+                    value={selection[book.id].to}
+                    onChange={(e) => setChapter(book, 'to', e.target.value)}
+                    className="border border-gray-300 rounded px-1 py-0.5 min-w-0"
+                  >
+                    {book.chapters.map(chapter => <option key={chapter} value={chapter}>{chapter}</option>)}
+                  </select>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
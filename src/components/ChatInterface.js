@@ -1,14 +1,62 @@
 'use client'
 
-import { useState, useRef, useEffect } from 'react'
-import { Send, Bot, User, BookOpen, Loader2, AlertCircle, CheckCircle } from 'lucide-react'
+import { useState, useRef, useEffect, useCallback } from 'react'
+import Link from 'next/link'
+import { Send, Bot, User, BookOpen, Loader2, AlertCircle, CheckCircle, Square, Library } from 'lucide-react'
+import ConversationSidebar from '@/components/ConversationSidebar'
+import BookPicker, { toBookFilter } from '@/components/BookPicker'
+import CitedAnswer, { InvalidCitationNotice, VerificationSummary } from '@/components/CitedAnswer'
+import PassageViewer from '@/components/PassageViewer'
+
+// How long a source card stays highlighted after its citation is clicked
+const SOURCE_HIGHLIGHT_MS = 2000
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-50 text-green-700 border-green-200',
+  medium: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  low: 'bg-red-50 text-red-700 border-red-200'
+}
+
+// Read server-sent events from a streaming /api/chat response
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const events = buffer.split('\n\n')
+    buffer = events.pop()
+
+    for (const rawEvent of events) {
+      let event = 'message'
+      let data = ''
+      rawEvent.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7)
+        else if (line.startsWith('data: ')) data += line.slice(6)
+      })
+      onEvent(event, data ? JSON.parse(data) : {})
+    }
+  }
+}
 
 export default function ChatInterface() {
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
   const [isLoading, setIsLoading] = useState(false)
   const [systemStatus, setSystemStatus] = useState(null)
+  const [conversations, setConversations] = useState([])
+  const [conversationId, setConversationId] = useState(null)
+  const [pendingSave, setPendingSave] = useState(false)
+  const [bookSelection, setBookSelection] = useState({})
+  const [highlightedSource, setHighlightedSource] = useState(null)
+  const [viewedSource, setViewedSource] = useState(null)
   const messagesEndRef = useRef(null)
+  const abortControllerRef = useRef(null)
+  const highlightTimerRef = useRef(null)
 
   // Auto-scroll to bottom when new messages are added
   useEffect(() => {
@@ -20,6 +68,117 @@ export default function ChatInterface() {
     checkSystemStatus()
   }, [])
 
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await fetch('/api/conversations')
+      const data = await response.json()
+      if (response.ok) {
+        setConversations(data.conversations || [])
+      }
+    } catch (error) {
+      console.error('Failed to load conversations:', error)
+    }
+  }, [])
+
+  // Load saved conversation threads on mount
+  useEffect(() => {
+    loadConversations()
+  }, [loadConversations])
+
+  // Persist the active thread once an exchange has finished
+  useEffect(() => {
+    if (!pendingSave || !conversationId) return
+    setPendingSave(false)
+
+    fetch(`/api/conversations/${conversationId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ messages }),
+    })
+      .then(() => loadConversations())
+      .catch(error => console.error('Failed to save conversation:', error))
+  }, [pendingSave, conversationId, messages, loadConversations])
+
+  const selectConversation = async (id) => {
+    if (isLoading || id === conversationId) return
+
+    try {
+      const response = await fetch(`/api/conversations/${id}`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load conversation')
+      }
+
+      setConversationId(id)
+      setMessages(data.conversation.messages || [])
+    } catch (error) {
+      console.error('Failed to load conversation:', error)
+    }
+  }
+
+  const startNewConversation = () => {
+    if (isLoading) return
+    setConversationId(null)
+    setMessages([])
+  }
+
+  const renameConversation = async (id, title) => {
+    try {
+      await fetch(`/api/conversations/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ title }),
+      })
+      await loadConversations()
+    } catch (error) {
+      console.error('Failed to rename conversation:', error)
+    }
+  }
+
+  const removeConversation = async (id) => {
+    try {
+      await fetch(`/api/conversations/${id}`, { method: 'DELETE' })
+      if (id === conversationId) {
+        startNewConversation()
+      }
+      await loadConversations()
+    } catch (error) {
+      console.error('Failed to delete conversation:', error)
+    }
+  }
+
+  // Create a thread for the first question so the exchange can be saved
+  const ensureConversation = async (firstQuestion) => {
+    if (conversationId) return conversationId
+
+    try {
+      const response = await fetch('/api/conversations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ title: firstQuestion.substring(0, 60) }),
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create conversation')
+      }
+
+      setConversationId(data.conversation.id)
+      return data.conversation.id
+    } catch (error) {
+      // The chat still works without persistence
+      console.error('Failed to create conversation:', error)
+      return null
+    }
+  }
+
   const checkSystemStatus = async () => {
     try {
       const response = await fetch('/api/chat', { method: 'GET' })
@@ -35,12 +194,38 @@ export default function ChatInterface() {
     }
   }
 
+  const updateMessage = (id, update) => {
+    setMessages(prev => prev.map(message => message.id === id ? update(message) : message))
+  }
+
+  // Scroll to the source card a citation points to and highlight it briefly
+  const showSource = (messageId, sourceNumber) => {
+    const sourceId = `source-${messageId}-${sourceNumber}`
+    document.getElementById(sourceId)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+    setHighlightedSource(sourceId)
+    clearTimeout(highlightTimerRef.current)
+    highlightTimerRef.current = setTimeout(() => setHighlightedSource(null), SOURCE_HIGHLIGHT_MS)
+  }
+
+  const closePassage = useCallback(() => setViewedSource(null), [])
+
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort()
+  }
+
   const sendMessage = async (e) => {
     e.preventDefault()
     
     if (!input.trim() || isLoading) return
 
     const userMessage = input.trim()
+    const assistantId = Date.now() + 1
+
+    // Prior turns give the API the context it needs for follow-up questions
+    const history = messages
+      .filter(message => (message.type === 'user' || message.type === 'assistant') && message.content)
+      .map(message => ({ role: message.type, content: message.content }))
+
     setInput('')
     setIsLoading(true)
 
@@ -52,44 +237,83 @@ export default function ChatInterface() {
       timestamp: new Date()
     }])
 
+    const abortController = new AbortController()
+    abortControllerRef.current = abortController
+
+    await ensureConversation(userMessage)
+
     try {
       const response = await fetch('/api/chat', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ question: userMessage }),
+        body: JSON.stringify({
+          question: userMessage,
+          history,
+          filter: toBookFilter(bookSelection, systemStatus?.books || []),
+          stream: true
+        }),
+        signal: abortController.signal
       })
 
-      const data = await response.json()
-
       if (!response.ok) {
+        const data = await response.json()
         throw new Error(data.error || 'Failed to get response')
       }
 
-      // Add AI response to chat
-      setMessages(prev => [...prev, {
-        id: Date.now() + 1,
-        type: 'assistant',
-        content: data.answer,
-        sources: data.sources || [],
-        confidence: data.confidence || 0,
-        chunksFound: data.chunksFound || 0,
-        timestamp: new Date()
-      }])
+      await readEventStream(response, (event, data) => {
+        if (event === 'sources') {
+          // Sources arrive first, so the answer bubble can show them while tokens stream in
+          setMessages(prev => [...prev, {
+            id: assistantId,
+            type: 'assistant',
+            content: '',
+            sources: data.sources || [],
+            confidence: data.confidence || 0,
+            confidenceLevel: data.confidenceLevel || null,
+            answerable: data.answerable !== false,
+            suggestions: data.suggestions || [],
+            chunksFound: data.chunksFound || 0,
+            cachedAnswer: data.cachedAnswer || null,
+            isStreaming: true,
+            timestamp: new Date()
+          }])
+        } else if (event === 'token') {
+          updateMessage(assistantId, message => ({ ...message, content: message.content + data.text }))
+        } else if (event === 'done') {
+          // The answer is complete; a check of its claims against the sources may follow
+          updateMessage(assistantId, message => ({ ...message, isStreaming: false, isVerifying: message.answerable && message.sources.length > 0 }))
+        } else if (event === 'verification') {
+          updateMessage(assistantId, message => ({ ...message, verification: data, isVerifying: false }))
+        } else if (event === 'error') {
+          throw new Error(data.error || 'Failed to get response')
+        }
+      })
+
+      updateMessage(assistantId, message => ({ ...message, isStreaming: false, isVerifying: false }))
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Stopping after the answer is complete only skips verification
+        updateMessage(assistantId, message => ({ ...message, isStreaming: false, isVerifying: false, stopped: message.isStreaming }))
+        return
+      }
+
       console.error('Error:', error)
+      updateMessage(assistantId, message => ({ ...message, isStreaming: false, isVerifying: false }))
       
       // Add error message to chat
       setMessages(prev => [...prev, {
-        id: Date.now() + 1,
+        id: Date.now() + 2,
         type: 'error',
         content: `Sorry, I encountered an error: ${error.message}. Please check that your books have been ingested and your OpenAI API key is configured correctly.`,
         timestamp: new Date()
       }])
     } finally {
+      abortControllerRef.current = null
       setIsLoading(false)
+      setPendingSave(true)
     }
   }
 
@@ -110,7 +334,7 @@ export default function ChatInterface() {
         ) : (
           <>
             <AlertCircle className="w-4 h-4" />
-            No books found • Run ingestion script
+            No books found • Upload books in the library
           </>
         )}
       </div>
@@ -118,171 +342,295 @@ export default function ChatInterface() {
   }
 
   return (
-    <div className="flex flex-col h-screen bg-gray-50">
-      {/* Header */}
-      <div className="bg-white shadow-sm border-b border-gray-200 p-4">
-        <div className="max-w-4xl mx-auto">
-          <div className="flex items-center gap-3 mb-3">
-            <BookOpen className="w-6 h-6 text-blue-600" />
-            <div>
-              <h1 className="text-xl font-semibold text-gray-900">AI Book Assistant</h1>
-              <p className="text-sm text-gray-600">Ask questions about your books</p>
+    <div className="flex h-screen bg-gray-50">
+      <ConversationSidebar
+        conversations={conversations}
+        activeId={conversationId}
+        disabled={isLoading}
+        onSelect={selectConversation}
+        onNew={startNewConversation}
+        onRename={renameConversation}
+        onDelete={removeConversation}
+      />
+
+      <div className="flex-1 flex flex-col min-w-0">
+        {/* Header */}
+        <div className="bg-white shadow-sm border-b border-gray-200 p-4">
+          <div className="max-w-4xl mx-auto">
+            <div className="flex items-center gap-3 mb-3">
+              <BookOpen className="w-6 h-6 text-blue-600" />
+              <div className="flex-1">
+                <h1 className="text-xl font-semibold text-gray-900">AI Book Assistant</h1>
+                <p className="text-sm text-gray-600">Ask questions about your books</p>
+              </div>
+              <Link href="/library" className="text-sm text-blue-600 hover:underline flex items-center gap-1">
+                <Library className="w-4 h-4" />
+                Library
+              </Link>
             </div>
+            <StatusIndicator />
           </div>
-          <StatusIndicator />
         </div>
-      </div>
 
-      {/* Messages Container */}
-      <div className="flex-1 overflow-y-auto p-4">
-        <div className="max-w-4xl mx-auto space-y-6">
-          {messages.length === 0 && (
-            <div className="text-center py-12">
-              <BookOpen className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-              <h3 className="text-lg font-medium text-gray-900 mb-2">Welcome to your AI Book Assistant</h3>
-              
-              {systemStatus?.chunksLoaded > 0 ? (
-                <>
-                  <p className="text-gray-600 mb-4">
-                    Ask me anything about your books. I have {systemStatus.chunksLoaded} chunks ready to search through.
-                  </p>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 max-w-2xl mx-auto">
-                    <button
-                      onClick={() => setInput("What are the main themes discussed in the books?")}
-                      className="p-3 text-left bg-white rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
-                    >
-                      <div className="font-medium text-sm">Main themes</div>
-                      <div className="text-xs text-gray-600">Explore key topics</div>
-                    </button>
-                    <button
-                      onClick={() => setInput("Can you summarize the key insights from the sales book?")}
-                      className="p-3 text-left bg-white rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
-                    >
-                      <div className="font-medium text-sm">Key insights</div>
-                      <div className="text-xs text-gray-600">Get important takeaways</div>
-                    </button>
+        {/* Messages Container */}
+        <div className="flex-1 overflow-y-auto p-4">
+          <div className="max-w-4xl mx-auto space-y-6">
+            {messages.length === 0 && (
+              <div className="text-center py-12">
+                <BookOpen className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Welcome to your AI Book Assistant</h3>
+                
+                {systemStatus?.chunksLoaded > 0 ? (
+                  <>
+                    <p className="text-gray-600 mb-4">
+                      Ask me anything about your books. I have {systemStatus.chunksLoaded} chunks ready to search through.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3 max-w-2xl mx-auto">
+                      <button
+                        onClick={() => setInput("What are the main themes discussed in the books?")}
+                        className="p-3 text-left bg-white rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
+                      >
+                        <div className="font-medium text-sm">Main themes</div>
+                        <div className="text-xs text-gray-600">Explore key topics</div>
+                      </button>
+                      <button
+                        onClick={() => setInput("Can you summarize the key insights from the sales book?")}
+                        className="p-3 text-left bg-white rounded-lg border border-gray-200 hover:border-gray-300 transition-colors"
+                      >
+                        <div className="font-medium text-sm">Key insights</div>
+                        <div className="text-xs text-gray-600">Get important takeaways</div>
+                      </button>
+                    </div>
+                  </>
+                ) : (
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 max-w-2xl mx-auto">
+                    <p className="text-yellow-800 mb-3">No books found in the system.</p>
+                    <div className="text-sm text-yellow-700 space-y-1">
+                      <p><strong>To get started:</strong></p>
+                      <ol className="list-decimal list-inside space-y-1">
+                        <li>Upload your .txt, .epub or .pdf book files in the <Link href="/library" className="underline">library</Link></li>
+                        <li>Wait for ingestion to finish, then come back and ask away</li>
+                      </ol>
+                      <p>Or add files to <code className="bg-yellow-100 px-1 rounded">src/books/</code> and run <code className="bg-yellow-100 px-1 rounded">npm run ingest</code>.</p>
+                    </div>
                   </div>
-                </>
-              ) : (
-                <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 max-w-2xl mx-auto">
-                  <p className="text-yellow-800 mb-3">No books found in the system.</p>
-                  <div className="text-sm text-yellow-700 space-y-1">
-                    <p><strong>To get started:</strong></p>
-                    <ol className="list-decimal list-inside space-y-1">
-                      <li>Add your .txt book files to the <code className="bg-yellow-100 px-1 rounded">src/books/</code> directory</li>
-                      <li>Run: <code className="bg-yellow-100 px-1 rounded">node src/scripts/ingest-books.js</code></li>
-                      <li>Restart the development server</li>
-                    </ol>
+                )}
+              </div>
+            )}
+
+            {messages.map((message) => (
+              <div key={message.id} className={`flex gap-4 ${message.type === 'user' ? 'justify-end' : ''}`}>
+                {message.type !== 'user' && (
+                  <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
+                    message.type === 'error' ? 'bg-red-100' : 'bg-blue-100'
+                  }`}>
+                    <Bot className={`w-4 h-4 ${message.type === 'error' ? 'text-red-600' : 'text-blue-600'}`} />
                   </div>
-                </div>
-              )}
-            </div>
-          )}
-
-          {messages.map((message) => (
-            <div key={message.id} className={`flex gap-4 ${message.type === 'user' ? 'justify-end' : ''}`}>
-              {message.type !== 'user' && (
-                <div className={`w-8 h-8 rounded-full flex items-center justify-center ${
-                  message.type === 'error' ? 'bg-red-100' : 'bg-blue-100'
-                }`}>
-                  <Bot className={`w-4 h-4 ${message.type === 'error' ? 'text-red-600' : 'text-blue-600'}`} />
-                </div>
-              )}
-              
-              <div className={`flex-1 max-w-3xl ${message.type === 'user' ? 'flex justify-end' : ''}`}>
-                <div className={`p-4 rounded-lg ${
-                  message.type === 'user' 
-                    ? 'bg-blue-600 text-white' 
-                    : message.type === 'error'
-                    ? 'bg-red-50 border border-red-200'
-                    : 'bg-white border border-gray-200'
-                }`}>
-                  <div className="whitespace-pre-wrap">{message.content}</div>
-                  
-                  {/* Show sources for assistant messages */}
-                  {message.type === 'assistant' && message.sources && message.sources.length > 0 && (
-                    <div className="mt-4 pt-3 border-t border-gray-100">
-                      <div className="flex items-center gap-2 mb-2">
-                        <BookOpen className="w-4 h-4 text-gray-500" />
-                        <span className="text-sm font-medium text-gray-700">
-                          Sources ({message.confidence}% confidence, {message.chunksFound} chunks found)
-                        </span>
+                )}
+                
+                <div className={`flex-1 max-w-3xl ${message.type === 'user' ? 'flex justify-end' : ''}`}>
+                  <div className={`p-4 rounded-lg ${
+                    message.type === 'user' 
+                      ? 'bg-blue-600 text-white' 
+                      : message.type === 'error'
+                      ? 'bg-red-50 border border-red-200'
+                      : 'bg-white border border-gray-200'
+                  }`}>
+                    <div className="whitespace-pre-wrap">
+                      {message.type === 'assistant' ? (
+                        <CitedAnswer
+                          text={message.content}
+                          claims={message.verification?.claims}
+                          sourceCount={message.sources?.length || 0}
+                          onCite={(sourceNumber) => showSource(message.id, sourceNumber)}
+                        />
+                      ) : message.content}
+                      {message.isStreaming && (
+                        <span className="inline-block w-2 h-4 ml-0.5 align-text-bottom bg-blue-600 animate-pulse" />
+                      )}
+                    </div>
+                    {message.stopped && (
+                      <div className="text-xs text-gray-500 mt-2">Generation stopped</div>
+                    )}
+                    {message.type === 'assistant' && !message.isStreaming && (
+                      <InvalidCitationNotice text={message.content} sourceCount={message.sources?.length || 0} />
+                    )}
+                    {message.isVerifying && (
+                      <div className="text-xs text-gray-500 mt-2 flex items-center gap-1">
+                        <Loader2 className="w-3 h-3 animate-spin" />
+                        Checking the answer against its sources…
                       </div>
-                      <div className="space-y-2">
-                        {message.sources.map((source, index) => (
-                          <div key={source.id} className="text-xs bg-gray-50 p-2 rounded border">
-                            <div className="font-medium text-gray-700">
-                              {source.bookTitle} ({source.similarity}% match)
-                            </div>
-                            <div className="text-gray-600 mt-1">{source.preview}</div>
-                          </div>
+                    )}
+                    {message.verification && <VerificationSummary verification={message.verification} />}
+
+                    {/* Questions the books may answer better, offered when the answer is not in them */}
+                    {message.type === 'assistant' && !message.isStreaming && message.suggestions?.length > 0 && (
+                      <div className="mt-3 space-y-1">
+                        <div className="text-xs text-gray-500">Try asking instead:</div>
+                        {message.suggestions.map(suggestion => (
+                          <button
+                            key={suggestion}
+                            type="button"
+                            onClick={() => setInput(suggestion)}
+                            disabled={isLoading}
+                            className="block text-left text-sm text-blue-700 hover:underline disabled:text-gray-400"
+                          >
+                            {suggestion}
+                          </button>
                         ))}
                       </div>
-                    </div>
-                  )}
+                    )}
+                    
+                    {/* Show sources for assistant messages */}
+                    {message.type === 'assistant' && message.sources && message.sources.length > 0 && (
+                      <div className="mt-4 pt-3 border-t border-gray-100">
+                        <div className="flex items-center gap-2 mb-2">
+                          <BookOpen className="w-4 h-4 text-gray-500" />
+                          <span className="text-sm font-medium text-gray-700">
+                            {message.answerable === false ? 'Closest matches' : 'Sources'} ({message.chunksFound} chunks found)
+                          </span>
+                          <span
+                            title="Combines retrieval scores, the reranker and the model's judgment of whether the answer is in the books"
+                            className={`px-2 py-0.5 text-xs rounded-full border ${CONFIDENCE_STYLES[message.confidenceLevel] || CONFIDENCE_STYLES.medium}`}
+                          >
+                            {message.confidence}% confidence
+                          </span>
+                          {message.cachedAnswer && (
+                            <span
+                              title={`Reused the answer to "${message.cachedAnswer.question}" from ${new Date(message.cachedAnswer.createdAt).toLocaleString()}`}
+                              className="px-2 py-0.5 text-xs rounded-full border bg-gray-50 text-gray-600 border-gray-200"
+                            >
+                              Cached answer
+                            </span>
+                          )}
+                        </div>
+                        <div className="space-y-2">
+                          {message.sources.map((source, index) => (
+                            <div
+                              key={source.id}
+                              id={`source-${message.id}-${index + 1}`}
+                              className={`text-xs p-2 rounded border transition-colors ${
+                                highlightedSource === `source-${message.id}-${index + 1}`
+                                  ? 'bg-blue-50 border-blue-400 ring-2 ring-blue-200'
+                                  : 'bg-gray-50'
+                              }`}
+                            >
+                              <div className="font-medium text-gray-700">
+                                <span className="text-blue-700">Source {index + 1}</span> · {source.bookTitle}
+                                {source.pageNumber && (
+                                  source.pageEnd && source.pageEnd !== source.pageNumber
+                                    ? `, pp. ${source.pageNumber}–${source.pageEnd}`
+                                    : `, p. ${source.pageNumber}`
+                                )} ({source.similarity}% match{source.rerankScore != null ? `, ${source.rerankScore}% relevance` : ''})
+                              </div>
+                              {source.chapter && (
+                                <div className="text-gray-500 mt-0.5">
+                                  {source.chapter}{source.section ? ` › ${source.section}` : ''}
+                                </div>
+                              )}
+                              <div className="text-gray-600 mt-1">{source.preview}</div>
+                              <button
+                                type="button"
+                                onClick={() => setViewedSource(source)}
+                                className="mt-1 text-blue-600 hover:underline"
+                              >
+                                View in book
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
                 </div>
+
+                {message.type === 'user' && (
+                  <div className="w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center">
+                    <User className="w-4 h-4 text-gray-600" />
+                  </div>
+                )}
               </div>
+            ))}
 
-              {message.type === 'user' && (
-                <div className="w-8 h-8 rounded-full bg-gray-100 flex items-center justify-center">
-                  <User className="w-4 h-4 text-gray-600" />
+            {isLoading && messages[messages.length - 1]?.type === 'user' && (
+              <div className="flex gap-4">
+                <div className="w-8 h-8 rounded-full bg-blue-100 flex items-center justify-center">
+                  <Bot className="w-4 h-4 text-blue-600" />
                 </div>
-              )}
-            </div>
-          ))}
-
-          {isLoading && (
-            <div className="flex gap-4">
-              <div className="w-8 h-8 rounded-full bg-blue-100 flex items-center justify-center">
-                <Bot className="w-4 h-4 text-blue-600" />
-              </div>
-              <div className="flex-1 max-w-3xl">
-                <div className="bg-white border border-gray-200 p-4 rounded-lg">
-                  <div className="flex items-center gap-2">
-                    <Loader2 className="w-4 h-4 animate-spin text-blue-600" />
-                    <span className="text-gray-600">Searching through your books...</span>
+                <div className="flex-1 max-w-3xl">
+                  <div className="bg-white border border-gray-200 p-4 rounded-lg">
+                    <div className="flex items-center gap-2">
+                      <Loader2 className="w-4 h-4 animate-spin text-blue-600" />
+                      <span className="text-gray-600">Searching through your books...</span>
+                    </div>
                   </div>
                 </div>
               </div>
-            </div>
-          )}
+            )}
 
-          <div ref={messagesEndRef} />
+            <div ref={messagesEndRef} />
+          </div>
         </div>
-      </div>
 
-      {/* Input Form */}
-      <div className="bg-white border-t border-gray-200 p-4">
-        <div className="max-w-4xl mx-auto">
-          <form onSubmit={sendMessage} className="flex gap-3">
-            <input
-              type="text"
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              placeholder={
-                systemStatus?.chunksLoaded > 0 
-                  ? "Ask a question about your books..." 
-                  : "Please ingest books first..."
-              }
-              disabled={isLoading || systemStatus?.chunksLoaded === 0}
-              className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
-              maxLength={1000}
+        {/* Input Form */}
+        <div className="bg-white border-t border-gray-200 p-4">
+          <div className="max-w-4xl mx-auto">
+            <BookPicker
+              books={systemStatus?.books || []}
+              selection={bookSelection}
+              disabled={isLoading}
+              onChange={setBookSelection}
             />
-            <button
-              type="submit"
-              disabled={!input.trim() || isLoading || systemStatus?.chunksLoaded === 0}
-              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
-            >
-              <Send className="w-4 h-4" />
-              {isLoading ? 'Searching...' : 'Send'}
-            </button>
-          </form>
-          
-          <div className="text-xs text-gray-500 mt-2 text-center">
-            Ask questions about your books • Powered by AI embeddings
+
+            <form onSubmit={sendMessage} className="flex gap-3">
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                placeholder={
+                  systemStatus?.chunksLoaded > 0 
+                    ? "Ask a question about your books..." 
+                    : "Please ingest books first..."
+                }
+                disabled={isLoading || systemStatus?.chunksLoaded === 0}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+                maxLength={1000}
+              />
+              {isLoading ? (
+                <button
+                  type="button"
+                  onClick={stopGenerating}
+                  className="px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 transition-colors flex items-center gap-2"
+                >
+                  <Square className="w-4 h-4" />
+                  Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!input.trim() || systemStatus?.chunksLoaded === 0}
+                  className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+                >
+                  <Send className="w-4 h-4" />
+                  Send
+                </button>
+              )}
+            </form>
+            
+            <div className="text-xs text-gray-500 mt-2 text-center">
+              Ask questions about your books • Powered by AI embeddings
+            </div>
           </div>
         </div>
       </div>
+
+      {viewedSource && (
+        <PassageViewer
+          key={`${viewedSource.bookTitle}-${viewedSource.chunkIndex}`}
+          source={viewedSource}
+          onClose={closePassage}
+        />
+      )}
     </div>
   )
 }
\ No newline at end of file
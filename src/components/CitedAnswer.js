@@ -0,0 +1,174 @@
+'use client'
+
+import { AlertCircle, CheckCircle } from 'lucide-react'
+import { CITATION_PATTERN } from '@/lib/citations'
+
+// How claims are marked in the answer, by how well the sources back them
+const CLAIM_STYLES = {
+  partial: 'underline decoration-wavy decoration-amber-400',
+  unsupported: 'bg-red-50 underline decoration-wavy decoration-red-400'
+}
+
+const CLAIM_TITLES = {
+  partial: 'Only partly backed by the sources',
+  unsupported: 'Not backed by any of the sources'
+}
+
+// Split an answer into text and citation segments. A citation keeps its original text as parts,
+// with every source number as its own { number } part so it can be linked on its own
+export function parseCitations(text) {
+  const segments = []
+  let lastIndex = 0
+
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', text: text.slice(lastIndex, match.index) })
+    }
+
+    const parts = [...match[0].matchAll(/(\d+)|(\D+)/g)].map(([part, number]) =>
+      number ? { number: Number(number) } : { text: part }
+    )
+    segments.push({ type: 'citation', parts })
+    lastIndex = match.index + match[0].length
+  }
+
+  if (lastIndex < text.length) {
+    segments.push({ type: 'text', text: text.slice(lastIndex) })
+  }
+
+  return segments
+}
+
+// Source numbers cited in an answer that do not match any of the provided sources
+export function findInvalidCitations(text, sourceCount) {
+  const invalid = new Set()
+  parseCitations(text).forEach(segment => {
+    if (segment.type !== 'citation') return
+    segment.parts.forEach(part => {
+      if (part.number !== undefined && (part.number < 1 || part.number > sourceCount)) {
+        invalid.add(part.number)
+      }
+    })
+  })
+  return [...invalid].sort((a, b) => a - b)
+}
+
+// Warning shown under an answer that cites sources it was never given
+export function InvalidCitationNotice({ text, sourceCount }) {
+  const invalid = findInvalidCitations(text, sourceCount)
+  if (invalid.length === 0) return null
+
+  return (
+    <div className="text-xs text-red-600 mt-2 flex items-center gap-1">
+      <AlertCircle className="w-3 h-3" />
+      Cites {invalid.map(number => `Source ${number}`).join(', ')}, which {invalid.length === 1 ? 'was' : 'were'} never provided
+    </div>
+  )
+}
+
+// Summary of the check of an answer's claims against its sources
+export function VerificationSummary({ verification }) {
+  const { claims, method } = verification
+  if (claims.length === 0) return null
+
+  const unsupported = claims.filter(claim => claim.status === 'unsupported').length
+  const partial = claims.filter(claim => claim.status === 'partial').length
+  const checkedBy = method === 'local' ? ' (checked by keyword overlap)' : ''
+
+  if (unsupported === 0 && partial === 0) {
+    return (
+      <div className="text-xs text-green-700 mt-2 flex items-center gap-1">
+        <CheckCircle className="w-3 h-3" />
+        All {claims.length} statements are backed by the sources{checkedBy}
+      </div>
+    )
+  }
+
+  const problems = [
+    unsupported > 0 && `${unsupported} not backed by the sources`,
+    partial > 0 && `${partial} only partly backed`
+  ].filter(Boolean).join(', ')
+
+  return (
+    <div className={`text-xs mt-2 flex items-center gap-1 ${unsupported > 0 ? 'text-red-600' : 'text-amber-700'}`}>
+      <AlertCircle className="w-3 h-3" />
+      Of {claims.length} statements, {problems} (underlined above){checkedBy}
+    </div>
+  )
+}
+
+// Split the answer at its checked claims so each can be marked by how well it is backed
+function splitByClaims(text, claims = []) {
+  const pieces = []
+  let position = 0
+
+  claims
+    .filter(claim => claim.start >= 0 && claim.end <= text.length)
+    .sort((a, b) => a.start - b.start)
+    .forEach(claim => {
+      if (claim.start < position) return
+      if (claim.start > position) {
+        pieces.push({ text: text.slice(position, claim.start), claim: null })
+      }
+      pieces.push({ text: text.slice(claim.start, claim.end), claim })
+      position = claim.end
+    })
+
+  if (position < text.length) {
+    pieces.push({ text: text.slice(position), claim: null })
+  }
+  return pieces
+}
+
+// Text with each cited source number rendered as a footnote link to its source card
+function CitationText({ text, sourceCount, onCite }) {
+  return parseCitations(text).map((segment, index) => {
+    if (segment.type === 'text') {
+      return <span key={index}>{segment.text}</span>
+    }
+
+    return (
+      <span key={index} className="text-blue-700">
+        {segment.parts.map((part, partIndex) => {
+          if (part.number === undefined) {
+            return <span key={partIndex}>{part.text}</span>
+          }
+
+          const isValid = part.number >= 1 && part.number <= sourceCount
+          return isValid ? (
+            <button
+              key={partIndex}
+              type="button"
+              onClick={() => onCite(part.number)}
+              title={`Show source ${part.number}`}
+              className="font-medium underline decoration-dotted underline-offset-2 hover:text-blue-900"
+            >
+              {part.number}
+            </button>
+          ) : (
+            <span
+              key={partIndex}
+              title={`Source ${part.number} was not provided to the assistant`}
+              className="font-medium text-red-600 line-through"
+            >
+              {part.number}
+            </span>
+          )
+        })}
+      </span>
+    )
+  })
+}
+
+// Answer text with linked citations, and claims the sources do not back marked once it has been verified
+export default function CitedAnswer({ text, claims, sourceCount, onCite }) {
+  return splitByClaims(text, claims).map((piece, index) => (
+    <span
+      key={index}
+      className={CLAIM_STYLES[piece.claim?.status] || ''}
+      title={CLAIM_TITLES[piece.claim?.status]}
+    >
+      <CitationText text={piece.text} sourceCount={sourceCount} onCite={onCite} />
+    </span>
+  ))
+}
@@ -0,0 +1,108 @@
+'use client'
+
+import { useState } from 'react'
+import { MessageSquare, Plus, Pencil, Trash2, Check, X } from 'lucide-react'
+
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  disabled,
+  onSelect,
+  onNew,
+  onRename,
+  onDelete
+}) {
+  const [editingId, setEditingId] = useState(null)
+  const [editingTitle, setEditingTitle] = useState('')
+
+  const startEditing = (conversation) => {
+    setEditingId(conversation.id)
+    setEditingTitle(conversation.title)
+  }
+
+  const submitRename = (e) => {
+    e.preventDefault()
+    if (editingTitle.trim()) {
+      onRename(editingId, editingTitle.trim())
+    }
+    setEditingId(null)
+  }
+
+  const confirmDelete = (conversation) => {
+    if (window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+      onDelete(conversation.id)
+    }
+  }
+
+  return (
+    <aside className="hidden md:flex w-64 flex-col bg-white border-r border-gray-200">
+      <div className="p-4 border-b border-gray-200">
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full px-3 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+        >
+          <Plus className="w-4 h-4" />
+          New conversation
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-1">
+        {conversations.length === 0 && (
+          <p className="text-xs text-gray-500 text-center py-6">No saved conversations yet</p>
+        )}
+
+        {conversations.map((conversation) => (
+          <div
+            key={conversation.id}
+            className={`group rounded-lg text-sm ${
+              conversation.id === activeId ? 'bg-blue-50 text-blue-700' : 'text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {editingId === conversation.id ? (
+              <form onSubmit={submitRename} className="flex items-center gap-1 p-1">
+                <input
+                  autoFocus
+                  value={editingTitle}
+                  onChange={(e) => setEditingTitle(e.target.value)}
+                  className="flex-1 min-w-0 px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-blue-500"
+                  maxLength={200}
+                />
+                <button type="submit" className="p-1 text-gray-500 hover:text-green-600" title="Save">
+                  <Check className="w-4 h-4" />
+                </button>
+                <button type="button" onClick={() => setEditingId(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+                  <X className="w-4 h-4" />
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center gap-1">
+                <button
+                  onClick={() => onSelect(conversation.id)}
+                  disabled={disabled}
+                  className="flex-1 min-w-0 flex items-center gap-2 px-3 py-2 text-left disabled:cursor-not-allowed"
+                >
+                  <MessageSquare className="w-4 h-4 shrink-0" />
+                  <span className="truncate">{conversation.title}</span>
+                </button>
+                <div className="hidden group-hover:flex items-center pr-1">
+                  <button onClick={() => startEditing(conversation)} className="p-1 text-gray-400 hover:text-gray-700" title="Rename">
+                    <Pencil className="w-3.5 h-3.5" />
+                  </button>
+                  <button
+                    onClick={() => confirmDelete(conversation)}
+                    disabled={disabled}
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:cursor-not-allowed"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-3.5 h-3.5" />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  )
+}
@@ -0,0 +1,254 @@
+'use client'
+
+import { useState, useEffect, useCallback, useRef } from 'react'
+import Link from 'next/link'
+import { Library, Upload, RefreshCw, Trash2, Loader2, ArrowLeft, AlertCircle, CheckCircle } from 'lucide-react'
+
+// How often to refresh the list while a job is queued or running
+const POLL_INTERVAL_MS = 2000
+
+const STATUS_STYLES = {
+  indexed: 'bg-green-50 text-green-700 border-green-200',
+  not_indexed: 'bg-gray-50 text-gray-600 border-gray-200',
+  queued: 'bg-blue-50 text-blue-700 border-blue-200',
+  ingesting: 'bg-blue-50 text-blue-700 border-blue-200',
+  deleting: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  failed: 'bg-red-50 text-red-700 border-red-200'
+}
+
+const STATUS_LABELS = {
+  indexed: 'Indexed',
+  not_indexed: 'Not indexed',
+  queued: 'Queued',
+  ingesting: 'Ingesting',
+  deleting: 'Deleting',
+  failed: 'Failed'
+}
+
+const STAGE_LABELS = {
+  loading: 'Reading and chunking the book…',
+  embedding: 'Embedding chunks',
+  storing: 'Saving chunks…',
+  removing: 'Removing chunks…'
+}
+
+function formatSize(bytes) {
+  if (bytes == null) return '—'
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`
+}
+
+function JobProgress({ job }) {
+  if (job.status === 'queued') {
+    return <p className="text-xs text-gray-500">Waiting for other jobs to finish…</p>
+  }
+
+  const percent = job.total > 0 ? Math.round(job.completed / job.total * 100) : null
+
+  return (
+    <div className="space-y-1">
+      <p className="text-xs text-gray-600 flex items-center gap-1">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        {STAGE_LABELS[job.stage] || 'Starting…'}
+        {job.stage === 'embedding' && job.total > 0 && ` ${job.completed}/${job.total}`}
+      </p>
+      {percent !== null && (
+        <div className="h-1.5 bg-gray-100 rounded-full overflow-hidden">
+          <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default function LibraryManager() {
+  const [books, setBooks] = useState([])
+  const [isLoading, setIsLoading] = useState(true)
+  const [isUploading, setIsUploading] = useState(false)
+  const [error, setError] = useState(null)
+  const fileInputRef = useRef(null)
+
+  const loadBooks = useCallback(async () => {
+    try {
+      const response = await fetch('/api/books')
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load books')
+      }
+      setBooks(data.books || [])
+    } catch (error) {
+      console.error('Failed to load books:', error)
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadBooks()
+  }, [loadBooks])
+
+  // Keep polling while any job is still queued or running
+  const hasActiveJobs = books.some(book => book.job?.status === 'queued' || book.job?.status === 'running')
+  useEffect(() => {
+    if (!hasActiveJobs) return
+    const timer = setInterval(loadBooks, POLL_INTERVAL_MS)
+    return () => clearInterval(timer)
+  }, [hasActiveJobs, loadBooks])
+
+  // Send a request that starts a job, then refresh the list to show it
+  const runAction = async (request) => {
+    setError(null)
+    try {
+      const response = await request()
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed')
+      }
+    } catch (error) {
+      setError(error.message)
+    }
+    await loadBooks()
+  }
+
+  const uploadFiles = async (e) => {
+    const files = [...(e.target.files || [])]
+    e.target.value = ''
+    if (files.length === 0) return
+
+    setIsUploading(true)
+    for (const file of files) {
+      const formData = new FormData()
+      formData.append('file', file)
+      await runAction(() => fetch('/api/books', { method: 'POST', body: formData }))
+    }
+    setIsUploading(false)
+  }
+
+  const reindexBook = (book) => runAction(() => fetch(`/api/books/${encodeURIComponent(book.id)}/reindex`, { method: 'POST' }))
+
+  const deleteBook = (book) => {
+    if (!window.confirm(`Delete "${book.title || book.fileName}" and all of its chunks? This cannot be undone.`)) return
+    runAction(() => fetch(`/api/books/${encodeURIComponent(book.id)}`, { method: 'DELETE' }))
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white shadow-sm border-b border-gray-200 p-4">
+        <div className="max-w-4xl mx-auto flex items-center justify-between gap-3">
+          <div className="flex items-center gap-3">
+            <Library className="w-6 h-6 text-blue-600" />
+            <div>
+              <h1 className="text-xl font-semibold text-gray-900">Library</h1>
+              <p className="text-sm text-gray-600">Upload books and manage what the assistant can search</p>
+            </div>
+          </div>
+          <Link href="/" className="text-sm text-blue-600 hover:underline flex items-center gap-1">
+            <ArrowLeft className="w-4 h-4" />
+            Back to chat
+          </Link>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto p-4 space-y-4">
+        <div className="bg-white border border-gray-200 rounded-lg p-4 flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-600">Add .txt, .epub or .pdf files. They are chunked and embedded in the background.</p>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".txt,.epub,.pdf"
+            multiple
+            onChange={uploadFiles}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center gap-2 flex-shrink-0"
+          >
+            {isUploading ? <Loader2 className="w-4 h-4 animate-spin" /> : <Upload className="w-4 h-4" />}
+            Upload books
+          </button>
+        </div>
+
+        {error && (
+          <div className="px-3 py-2 rounded-lg text-sm flex items-center gap-2 bg-red-50 text-red-700 border border-red-200">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        <div className="bg-white border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {isLoading && (
+            <p className="p-6 text-sm text-gray-500 text-center flex items-center justify-center gap-2">
+              <Loader2 className="w-4 h-4 animate-spin" />
+              Loading library…
+            </p>
+          )}
+
+          {!isLoading && books.length === 0 && (
+            <p className="p-6 text-sm text-gray-500 text-center">No books yet. Upload one to get started.</p>
+          )}
+
+          {books.map(book => {
+            const isBusy = book.job?.status === 'queued' || book.job?.status === 'running'
+
+            return (
+              <div key={book.id} className="p-4 flex items-start justify-between gap-4">
+                <div className="min-w-0 flex-1 space-y-1">
+                  <div className="flex items-center gap-2">
+                    <h2 className="text-sm font-medium text-gray-900 truncate">{book.title || book.fileName}</h2>
+                    <span className={`px-2 py-0.5 text-xs rounded-full border flex-shrink-0 ${STATUS_STYLES[book.status]}`}>
+                      {STATUS_LABELS[book.status] || book.status}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 truncate">
+                    {book.fileName} • {formatSize(book.fileSize)} • {book.chunkCount} chunks
+                    {book.totalTokens > 0 && ` • ${book.totalTokens.toLocaleString()} tokens`}
+                    {book.fileMissing && ' • file missing'}
+                  </p>
+
+                  {isBusy && <JobProgress job={book.job} />}
+
+                  {book.job?.status === 'failed' && (
+                    <p className="text-xs text-red-600">{book.job.error}</p>
+                  )}
+
+                  {book.job?.status === 'completed' && book.job.type === 'ingest' && book.job.result && (
+                    <p className="text-xs text-green-700 flex items-center gap-1">
+                      <CheckCircle className="w-3 h-3" />
+                      {book.job.result.skipped
+                        ? 'Unchanged since the last ingestion'
+                        : `${book.job.result.embeddedCount} chunks embedded, ${book.job.result.storedCount} stored • $${book.job.result.cost.toFixed(4)}`}
+                      {book.job.result.failedChunkCount > 0 && ` • ${book.job.result.failedChunkCount} failed, re-index to retry`}
+                    </p>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => reindexBook(book)}
+                    disabled={isBusy || book.fileMissing}
+                    title="Re-index (only changed chunks are embedded again)"
+                    className="p-2 text-gray-600 rounded-lg hover:bg-gray-100 disabled:text-gray-300 disabled:cursor-not-allowed"
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => deleteBook(book)}
+                    disabled={isBusy}
+                    title="Delete book"
+                    className="p-2 text-gray-600 rounded-lg hover:bg-red-50 hover:text-red-600 disabled:text-gray-300 disabled:cursor-not-allowed"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,141 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { X, Loader2, AlertCircle, ChevronUp, ChevronDown, BookOpen } from 'lucide-react'
+
+// Chunks loaded on each side of the source at first, and added per "read more" click
+const NEIGHBOR_STEP = 2
+
+// Side panel showing a source chunk in the book with the text around it; the source itself is highlighted
+export default function PassageViewer({ source, onClose }) {
+  const [range, setRange] = useState({ before: NEIGHBOR_STEP, after: NEIGHBOR_STEP })
+  const [passage, setPassage] = useState(null)
+  const [error, setError] = useState(null)
+  const [isLoading, setIsLoading] = useState(true)
+  const highlightRef = useRef(null)
+  const hasScrolledRef = useRef(false)
+
+  useEffect(() => {
+    const controller = new AbortController()
+    const params = new URLSearchParams({
+      book: source.bookTitle,
+      chunk: String(source.chunkIndex),
+      before: String(range.before),
+      after: String(range.after)
+    })
+
+    setIsLoading(true)
+    fetch(`/api/passages?${params}`, { signal: controller.signal })
+      .then(async response => {
+        const data = await response.json()
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to load passage')
+        }
+        setPassage(data)
+        setError(null)
+      })
+      .catch(error => {
+        if (error.name !== 'AbortError') setError(error.message)
+      })
+      .finally(() => setIsLoading(false))
+
+    return () => controller.abort()
+  }, [source.bookTitle, source.chunkIndex, range])
+
+  // Bring the highlighted chunk into view once, not every time more context is loaded
+  useEffect(() => {
+    if (passage && !hasScrolledRef.current) {
+      highlightRef.current?.scrollIntoView({ block: 'center' })
+      hasScrolledRef.current = true
+    }
+  }, [passage])
+
+  // Close with Escape
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [onClose])
+
+  const targetChunk = passage?.chunks.find(chunk => chunk.chunkIndex === source.chunkIndex)
+
+  return (
+    <div className="fixed inset-y-0 right-0 w-full max-w-md bg-white border-l border-gray-200 shadow-xl flex flex-col z-20">
+      <div className="p-4 border-b border-gray-200 flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <h2 className="text-sm font-semibold text-gray-900 flex items-center gap-2">
+            <BookOpen className="w-4 h-4 text-blue-600 flex-shrink-0" />
+            <span className="truncate">{source.bookTitle}</span>
+          </h2>
+          {(targetChunk?.chapter || source.chapter) && (
+            <p className="text-xs text-gray-500 mt-0.5 truncate">
+              {targetChunk?.chapter || source.chapter}
+              {(targetChunk?.section || source.section) && ` › ${targetChunk?.section || source.section}`}
+            </p>
+          )}
+        </div>
+        <button onClick={onClose} title="Close" className="p-1 text-gray-500 rounded hover:bg-gray-100">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {error && (
+          <div className="px-3 py-2 rounded-lg text-sm flex items-center gap-2 bg-red-50 text-red-700 border border-red-200">
+            <AlertCircle className="w-4 h-4" />
+            {error}
+          </div>
+        )}
+
+        {!passage && isLoading && (
+          <p className="text-sm text-gray-500 flex items-center gap-2">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading passage…
+          </p>
+        )}
+
+        {passage && (
+          <>
+            {passage.hasMoreBefore && passage.before === range.before && (
+              <button
+                onClick={() => setRange(prev => ({ ...prev, before: prev.before + NEIGHBOR_STEP }))}
+                disabled={isLoading}
+                className="w-full text-xs text-blue-600 hover:underline flex items-center justify-center gap-1 disabled:text-gray-400"
+              >
+                <ChevronUp className="w-3 h-3" />
+                Read earlier text
+              </button>
+            )}
+
+            <div className="text-sm text-gray-800 leading-relaxed whitespace-pre-wrap">
+              {passage.chunks.map((chunk, index) => {
+                const isSource = chunk.chunkIndex === source.chunkIndex
+                return (
+                  <span key={chunk.chunkIndex}>
+                    {index > 0 && (chunk.continuesPrevious ? ' ' : '\n\n')}
+                    <span ref={isSource ? highlightRef : null} className={isSource ? 'bg-yellow-100 rounded' : ''}>
+                      {chunk.content}
+                    </span>
+                  </span>
+                )
+              })}
+            </div>
+
+            {passage.hasMoreAfter && passage.after === range.after && (
+              <button
+                onClick={() => setRange(prev => ({ ...prev, after: prev.after + NEIGHBOR_STEP }))}
+                disabled={isLoading}
+                className="w-full text-xs text-blue-600 hover:underline flex items-center justify-center gap-1 disabled:text-gray-400"
+              >
+                <ChevronDown className="w-3 h-3" />
+                Read further
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
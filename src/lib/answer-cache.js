@@ -0,0 +1,179 @@
+// lib/answer-cache.js
+// Answers to earlier questions, reused when a new question means nearly the same thing and retrieval
+// picked exactly the same chunks, so the chat model is not asked the same thing twice.
+// Kept in a JSON file next to the local chunk store so the cache survives restarts and ingestion runs
+// in other processes can invalidate it.
+//
+// ANSWER_CACHE=off disables it, ANSWER_CACHE_TTL_HOURS sets how long answers are reused (default 24)
+// and ANSWER_CACHE_MIN_SIMILARITY how close two questions' embeddings must be (default 0.92)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { cosineSimilarity } from './local-storage.js';
+import { writeFileAtomic } from './atomic-file.js';
+import { getProcessState } from './process-state.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_FILE = path.join(__dirname, '..', 'data', 'answer-cache.json');
+
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MIN_SIMILARITY = 0.92;
+
+// Answers kept before the least recently used ones are dropped
+const MAX_ENTRIES = 200;
+
+// The loaded entries and the counters, once per process
+const state = getProcessState('answerCache', () => ({
+  entries: null,
+  loadedAt: null,
+  stats: { hits: 0, misses: 0 }
+}));
+
+export function isAnswerCacheEnabled() {
+  return (process.env.ANSWER_CACHE || '').toLowerCase() !== 'off';
+}
+
+function readNumberSetting(variable, fallback) {
+  const configured = Number(process.env[variable]);
+  return process.env[variable] && Number.isFinite(configured) ? configured : fallback;
+}
+
+function getTtlMs() {
+  return readNumberSetting('ANSWER_CACHE_TTL_HOURS', DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+// Chunk IDs in a fixed order, so the same set always compares equal
+function chunkSetKey(chunks) {
+  return chunks.map(chunk => String(chunk.id)).sort().join(',');
+}
+
+// Load the entries, re-reading the file when another process has changed it since
+function readEntries() {
+  if (!fs.existsSync(CACHE_FILE)) {
+    state.entries = [];
+    state.loadedAt = null;
+    return state.entries;
+  }
+
+  const modifiedAt = fs.statSync(CACHE_FILE).mtimeMs;
+  if (state.entries && state.loadedAt === modifiedAt) {
+    return state.entries;
+  }
+
+  try {
+    state.entries = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading answer cache:', error);
+    state.entries = [];
+  }
+  state.loadedAt = modifiedAt;
+  return state.entries;
+}
+
+// Save the entries, dropping expired ones and the least recently used beyond the limit
+function writeEntries(entries) {
+  const now = Date.now();
+  const kept = entries
+    .filter(entry => now - Date.parse(entry.createdAt) < getTtlMs())
+    .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt))
+    .slice(0, MAX_ENTRIES);
+
+  try {
+    writeFileAtomic(CACHE_FILE, JSON.stringify(kept));
+    state.entries = kept;
+    state.loadedAt = fs.statSync(CACHE_FILE).mtimeMs;
+  } catch (error) {
+    console.error('Error writing answer cache:', error);
+  }
+}
+
+// Earlier answer to a question whose embedding is close enough to this one and that was generated from
+// exactly these chunks by this chat model: { answer, verification, question, similarity, createdAt }, or null
+export function findCachedAnswer({ embedding, embeddingModel, chunks, chatModel }) {
+  if (!isAnswerCacheEnabled() || chunks.length === 0) {
+    return null;
+  }
+
+  const now = Date.now();
+  const chunkSet = chunkSetKey(chunks);
+  const minSimilarity = readNumberSetting('ANSWER_CACHE_MIN_SIMILARITY', DEFAULT_MIN_SIMILARITY);
+
+  const best = readEntries()
+    .filter(entry =>
+      entry.chunkSet === chunkSet &&
+      entry.chatModel === chatModel &&
+      entry.embeddingModel === embeddingModel &&
+      now - Date.parse(entry.createdAt) < getTtlMs()
+    )
+    .map(entry => ({ entry, similarity: cosineSimilarity(embedding, entry.embedding) }))
+    .filter(({ similarity }) => similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)[0];
+
+  if (!best) {
+    state.stats.misses++;
+    return null;
+  }
+
+  state.stats.hits++;
+  best.entry.lastUsedAt = new Date().toISOString();
+  best.entry.hits = (best.entry.hits || 0) + 1;
+  writeEntries(state.entries);
+
+  const { answer, verification, question, createdAt } = best.entry;
+  return { answer, verification, question, createdAt, similarity: Math.round(best.similarity * 100) / 100 };
+}
+
+// Remember an answer generated from these chunks for later, similar questions
+export function cacheAnswer({ question, embedding, embeddingModel, chunks, chatModel, answer, verification = null }) {
+  if (!isAnswerCacheEnabled() || chunks.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const chunkSet = chunkSetKey(chunks);
+  const entries = readEntries().filter(entry =>
+    !(entry.chunkSet === chunkSet && entry.chatModel === chatModel && entry.question === question)
+  );
+
+  entries.push({
+    id: crypto.randomUUID(),
+    question,
+    embedding,
+    embeddingModel,
+    chunkSet,
+    bookTitles: [...new Set(chunks.map(chunk => chunk.metadata?.book_title).filter(Boolean))],
+    chatModel,
+    answer,
+    verification,
+    createdAt: now,
+    lastUsedAt: now,
+    hits: 0
+  });
+  writeEntries(entries);
+}
+
+// Drop answers drawn from a book, after it has been re-ingested or removed; returns how many were dropped
+export function invalidateCachedAnswers(bookTitle) {
+  const entries = readEntries();
+  const kept = entries.filter(entry => !entry.bookTitles.includes(bookTitle));
+  if (kept.length !== entries.length) {
+    writeEntries(kept);
+  }
+  return entries.length - kept.length;
+}
+
+// Entries held and hit and miss counts since the process started
+export function getAnswerCacheStats() {
+  const { hits, misses } = state.stats;
+
+  return {
+    enabled: isAnswerCacheEnabled(),
+    entries: isAnswerCacheEnabled() ? readEntries().length : 0,
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 100) / 100 : null
+  };
+}
@@ -0,0 +1,14 @@
+// lib/atomic-file.js
+import fs from 'fs';
+import path from 'path';
+import { threadId } from 'worker_threads';
+
+// Write a file by way of a temporary file and a rename, so a crash never leaves it half-written and a
+// reader never sees it in the middle of being written. The temporary name is unique to the process and
+// thread, since the server and its job worker may write the same file at once
+export function writeFileAtomic(filePath, data) {
+  const temporaryPath = `${filePath}.${process.pid}-${threadId}.tmp`;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(temporaryPath, data);
+  fs.renameSync(temporaryPath, filePath);
+}
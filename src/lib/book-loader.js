@@ -0,0 +1,54 @@
+// lib/book-loader.js
+import fs from 'fs';
+import path from 'path';
+import { readEpubBook } from './epub-reader.js';
+import { readPdfBook, joinPages, createPageLocator } from './pdf-reader.js';
+
+export const SUPPORTED_EXTENSIONS = ['.txt', '.epub', '.pdf'];
+
+// Whether a file name has a format the loaders can read
+export function isSupportedBookFile(fileName) {
+  return SUPPORTED_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+// Read a book file into titled sections of raw text
+// PDFs also return a locatePages(startOffset, endOffset) helper that maps a chunk's offsets in the
+// section text back to page numbers
+export async function loadBook(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const fileTitle = path.basename(filePath, ext);
+
+  if (ext === '.txt') {
+    return {
+      bookTitle: fileTitle,
+      author: null,
+      fileType: ext,
+      sections: [{ chapter: null, section: null, text: fs.readFileSync(filePath, 'utf-8') }],
+      locatePages: null
+    };
+  }
+
+  if (ext === '.epub') {
+    const book = await readEpubBook(filePath);
+    return {
+      bookTitle: book.title || fileTitle,
+      author: book.author,
+      fileType: ext,
+      sections: book.sections,
+      locatePages: null
+    };
+  }
+
+  if (ext === '.pdf') {
+    const book = await readPdfBook(filePath);
+    return {
+      bookTitle: fileTitle,
+      author: book.author,
+      fileType: ext,
+      sections: [{ chapter: null, section: null, text: joinPages(book.pages) }],
+      locatePages: createPageLocator(book.pages)
+    };
+  }
+
+  throw new Error(`Unsupported file format: ${ext} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+}
@@ -0,0 +1,155 @@
+// lib/book-scope.js
+// Restricting retrieval to some books, or to a range of chapters within a book.
+// Stores receive resolved scopes: [{ bookTitle, chunkFrom, chunkTo }], with null bounds meaning the whole book
+
+// Upper bound on books and chapter ranges in a single filter
+const MAX_FILTER_ENTRIES = 50;
+
+// Stable identifier for a book, derived from its title the same way chunk ids are
+export function getBookId(bookTitle) {
+  return bookTitle.replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+// Group chunk rows ({ title, chapter, chunkIndex, tokens, filePath }) into the per-book breakdown of
+// getBookStats, including the source file name and each book's chapters in reading order
+export function summarizeBooks(rows) {
+  const bookStats = {};
+  const chapterRows = {};
+
+  rows.forEach(({ title, chapter, chunkIndex, tokens, filePath }) => {
+    if (!bookStats[title]) {
+      bookStats[title] = { id: getBookId(title), fileName: null, chunkCount: 0, totalTokens: 0, chapters: [] };
+      chapterRows[title] = [];
+    }
+
+    if (filePath && !bookStats[title].fileName) {
+      bookStats[title].fileName = filePath.split(/[\\/]/).pop();
+    }
+
+    bookStats[title].chunkCount += 1;
+    bookStats[title].totalTokens += tokens;
+    if (chapter && Number.isInteger(chunkIndex)) {
+      chapterRows[title].push({ chapter, chunkIndex });
+    }
+  });
+
+  Object.entries(chapterRows).forEach(([title, rowsOfBook]) => {
+    // A chapter is its longest run of consecutive chunks, so a table of contents that
+    // repeats the chapter titles does not stretch every chapter back to the front matter
+    const longestRuns = new Map();
+    let run = null;
+
+    rowsOfBook.sort((a, b) => a.chunkIndex - b.chunkIndex).forEach(({ chapter, chunkIndex }) => {
+      if (run && run.title === chapter) {
+        run.lastChunk = chunkIndex;
+      } else {
+        run = { title: chapter, firstChunk: chunkIndex, lastChunk: chunkIndex };
+      }
+
+      const longest = longestRuns.get(chapter);
+      if (!longest || run.lastChunk - run.firstChunk > longest.lastChunk - longest.firstChunk) {
+        longestRuns.set(chapter, run);
+      }
+    });
+
+    bookStats[title].chapters = [...longestRuns.values()].sort((a, b) => a.firstChunk - b.firstChunk);
+  });
+
+  return bookStats;
+}
+
+// Validate the `filter` of a chat request: { books?: string[], chapters?: [{ book, from, to? }] },
+// where books are titles or ids and from/to are chapter titles. Returns { filter } or { error }
+export function parseBookFilter(filter) {
+  if (filter === undefined || filter === null) {
+    return { filter: null };
+  }
+
+  if (typeof filter !== 'object' || Array.isArray(filter)) {
+    return { error: 'filter must be an object with books and/or chapters' };
+  }
+
+  const books = filter.books ?? [];
+  const chapters = filter.chapters ?? [];
+
+  if (!Array.isArray(books) || books.some(book => typeof book !== 'string' || book.trim().length === 0)) {
+    return { error: 'filter.books must be an array of book titles or ids' };
+  }
+
+  if (!Array.isArray(chapters) || chapters.some(range =>
+    !range || typeof range.book !== 'string' || typeof range.from !== 'string' ||
+    (range.to !== undefined && range.to !== null && typeof range.to !== 'string')
+  )) {
+    return { error: 'filter.chapters must be an array of { book, from, to } chapter ranges' };
+  }
+
+  if (books.length + chapters.length > MAX_FILTER_ENTRIES) {
+    return { error: `filter can name at most ${MAX_FILTER_ENTRIES} books and chapter ranges` };
+  }
+
+  if (books.length === 0 && chapters.length === 0) {
+    return { filter: null };
+  }
+
+  return {
+    filter: {
+      books: books.map(book => book.trim()),
+      chapters: chapters.map(range => ({ book: range.book.trim(), from: range.from, to: range.to ?? range.from }))
+    }
+  };
+}
+
+// Turn a parsed filter into store scopes using the book breakdown from getBookStats.
+// Returns { scopes } or { error } naming the unknown book or chapter
+export function resolveBookScopes(filter, bookBreakdown) {
+  const findBook = (book) => Object.entries(bookBreakdown)
+    .find(([title, stats]) => title === book || stats.id === book);
+
+  const scopes = [];
+
+  for (const book of filter.books) {
+    const match = findBook(book);
+    if (!match) {
+      return { error: `Unknown book: ${book}` };
+    }
+    scopes.push({ bookTitle: match[0], chunkFrom: null, chunkTo: null });
+  }
+
+  for (const range of filter.chapters) {
+    const match = findBook(range.book);
+    if (!match) {
+      return { error: `Unknown book: ${range.book}` };
+    }
+
+    const [bookTitle, stats] = match;
+    const from = stats.chapters.find(chapter => chapter.title === range.from);
+    const to = stats.chapters.find(chapter => chapter.title === range.to);
+    if (!from || !to) {
+      return { error: `Unknown chapter in ${bookTitle}: ${!from ? range.from : range.to}` };
+    }
+
+    scopes.push({
+      bookTitle,
+      chunkFrom: Math.min(from.firstChunk, to.firstChunk),
+      chunkTo: Math.max(from.lastChunk, to.lastChunk)
+    });
+  }
+
+  return { scopes };
+}
+
+// Whether a chunk falls inside any of the scopes (no scopes means everything is in scope)
+export function isChunkInScopes(chunk, scopes) {
+  if (!scopes || scopes.length === 0) {
+    return true;
+  }
+
+  const title = chunk.metadata?.book_title;
+  const chunkIndex = Number(chunk.metadata?.chunk_index);
+
+  return scopes.some(scope =>
+    scope.bookTitle === title &&
+    (scope.chunkFrom === null || chunkIndex >= scope.chunkFrom) &&
+    (scope.chunkTo === null || chunkIndex <= scope.chunkTo)
+  );
+}
@@ -0,0 +1,5 @@
+// lib/citations.js
+// Shared by the server (lib/grounding.js) and the chat UI (components/CitedAnswer.js), so it imports nothing
+
+// Citation markers the model writes, e.g. "Source 1", "[Source 2]", "Sources 1 and 3" or "Sources 2-4"
+export const CITATION_PATTERN = /\[?\bSources?\s+\d{1,2}\b(?:\s*(?:,\s*(?:and\s+)?|and\s+|&\s*|[-–]\s*)\d{1,2}\b)*\]?/gi
@@ -0,0 +1,108 @@
+// lib/confidence.js
+import { judgeAnswerability, hasUtilityModel } from './openai.js'
+import { tokenize, termCoverage } from './keyword-search.js'
+
+// text-embedding-3-small similarities between a question and a passage about it mostly fall
+// in this range; map it onto 0-1
+const SIMILARITY_FLOOR = 0.2
+const SIMILARITY_CEILING = 0.6
+
+// How far the best match must stand above the average candidate to count as a clear winner
+const SIMILARITY_MARGIN_SCALE = 0.15
+
+// How much each signal contributes; signals that are unavailable are left out and the rest rescaled
+const SIGNAL_WEIGHTS = {
+  retrieval: 0.25,
+  distribution: 0.1,
+  reranker: 0.25,
+  judgment: 0.4
+}
+
+// Below this judgment score the model has decided the answer is not in the passages
+const NOT_PRESENT_JUDGMENT = 0.3
+
+const DEFAULT_MIN_ANSWER_CONFIDENCE = 35
+const HIGH_CONFIDENCE = 70
+
+const clamp = (value) => Math.min(Math.max(value, 0), 1)
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+// Confidence (0-100) below which the chat API refuses instead of answering, from MIN_ANSWER_CONFIDENCE
+export function getMinAnswerConfidence() {
+  const configured = Number(process.env.MIN_ANSWER_CONFIDENCE)
+  return process.env.MIN_ANSWER_CONFIDENCE && Number.isFinite(configured)
+    ? Math.min(Math.max(configured, 0), 100)
+    : DEFAULT_MIN_ANSWER_CONFIDENCE
+}
+
+// Combine the retrieval, reranker and judgment signals (each 0-1 or null) into a 0-100 score
+export function scoreConfidence(candidates, topChunks, judgment = null) {
+  if (topChunks.length === 0) {
+    return { score: 0, signals: { retrieval: 0, distribution: null, reranker: null, judgment: judgment?.score ?? null } }
+  }
+
+  const similarities = topChunks.map(chunk => chunk.similarity || 0).sort((a, b) => b - a)
+  const candidateSimilarities = candidates.map(chunk => chunk.similarity || 0)
+  const rerankScores = topChunks.map(chunk => chunk.rerankScore).filter(score => Number.isFinite(score))
+
+  const signals = {
+    // Strength of the best few matches
+    retrieval: clamp((average(similarities.slice(0, 3)) - SIMILARITY_FLOOR) / (SIMILARITY_CEILING - SIMILARITY_FLOOR)),
+    // A best match that stands out from the rest is more telling than many equally weak ones
+    distribution: candidateSimilarities.length > 1
+      ? clamp((similarities[0] - average(candidateSimilarities)) / SIMILARITY_MARGIN_SCALE)
+      : null,
+    reranker: rerankScores.length > 0 ? clamp(Math.max(...rerankScores)) : null,
+    judgment: judgment?.score ?? null
+  }
+
+  const available = Object.entries(signals).filter(([, value]) => value !== null)
+  const totalWeight = available.reduce((sum, [name]) => sum + SIGNAL_WEIGHTS[name], 0)
+  const combined = available.reduce((sum, [name, value]) => sum + SIGNAL_WEIGHTS[name] * value, 0) / totalWeight
+
+  return {
+    score: Math.round(combined * 100),
+    signals: Object.fromEntries(Object.entries(signals).map(([name, value]) => [name, value === null ? null : Math.round(value * 100) / 100]))
+  }
+}
+
+// Judge answerability locally by the share of the question's terms the passages contain
+function judgeLocally(question, chunks) {
+  const passageTerms = new Set(chunks.flatMap(chunk => tokenize(chunk.content)))
+  return { score: termCoverage(new Set(tokenize(question)), passageTerms), suggestions: [] }
+}
+
+// Judge answerability with the utility model, falling back to the local judgment when the call fails
+// or the provider has no utility model
+async function judge(question, chunks) {
+  if (hasUtilityModel()) {
+    try {
+      return await judgeAnswerability(question, chunks)
+    } catch (error) {
+      console.error('Answerability check failed, using local judgment:', error.message)
+    }
+  }
+  return judgeLocally(question, chunks)
+}
+
+// Decide whether the retrieved chunks are good enough to answer from. Returns
+// { score, level, answerable, signals, suggestions } where suggestions are rephrased questions
+export async function assessConfidence(question, candidates, topChunks) {
+  const judgment = topChunks.length > 0 ? await judge(question, topChunks) : null
+
+  const { score, signals } = scoreConfidence(candidates, topChunks, judgment)
+  const minConfidence = getMinAnswerConfidence()
+  const answerable = topChunks.length > 0 &&
+    score >= minConfidence &&
+    (judgment === null || judgment.score >= NOT_PRESENT_JUDGMENT)
+
+  console.log(`Confidence ${score}% (min ${minConfidence}%): ${answerable ? 'answering' : 'not in the books'}`)
+
+  return {
+    score,
+    level: !answerable ? 'low' : score >= HIGH_CONFIDENCE ? 'high' : 'medium',
+    answerable,
+    signals,
+    suggestions: judgment?.suggestions ?? []
+  }
+}
@@ -0,0 +1,17 @@
+// lib/content-hash.js
+import fs from 'fs';
+import crypto from 'crypto';
+
+// Hash a chunk's text so unchanged chunks can be recognised across ingestion runs
+export function hashText(text) {
+  return crypto.createHash('sha256').update(text, 'utf-8').digest('hex');
+}
+
+// Hash a book file together with the settings that affect how it is chunked
+export function hashFile(filePath, settings = '') {
+  return crypto
+    .createHash('sha256')
+    .update(fs.readFileSync(filePath))
+    .update(settings)
+    .digest('hex');
+}
@@ -0,0 +1,198 @@
+// lib/conversation-store.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './atomic-file.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Path used to store conversations when Supabase is not configured
+const CONVERSATIONS_FILE = path.join(__dirname, '..', 'data', 'conversations.json');
+
+// Supabase table holding one row per conversation (id, title, messages jsonb, message_count, created_at,
+// updated_at), created by supabase/migrations/0004_conversations.sql
+const CONVERSATIONS_TABLE = 'conversations';
+
+// Use Supabase when it is configured, otherwise fall back to a local JSON file
+function isSupabaseConfigured() {
+  return Boolean(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+// Import lazily: lib/supabase.js throws at import time without its env vars
+async function getSupabaseAdmin() {
+  const { supabaseAdmin } = await import('./supabase.js');
+  return supabaseAdmin;
+}
+
+// Convert a stored conversation into the shape returned by the API. Listed Supabase rows carry
+// message_count instead of their messages
+function toConversation(row, includeMessages = true) {
+  const messages = row.messages || [];
+  return {
+    id: row.id,
+    title: row.title,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    messageCount: row.message_count ?? messages.length,
+    ...(includeMessages ? { messages } : {})
+  };
+}
+
+// Read all conversations from the local file
+function readConversationsFile() {
+  try {
+    if (!fs.existsSync(CONVERSATIONS_FILE)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(CONVERSATIONS_FILE, 'utf-8'));
+  } catch (error) {
+    console.error('Error loading conversations:', error);
+    return [];
+  }
+}
+
+// Write all conversations to the local file
+function writeConversationsFile(conversations) {
+  writeFileAtomic(CONVERSATIONS_FILE, JSON.stringify(conversations, null, 2));
+}
+
+// List conversations, most recently updated first (without their messages)
+export async function listConversations() {
+  if (isSupabaseConfigured()) {
+    const supabaseAdmin = await getSupabaseAdmin();
+    const { data, error } = await supabaseAdmin
+      .from(CONVERSATIONS_TABLE)
+      .select('id, title, message_count, created_at, updated_at')
+      .order('updated_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing conversations:', error);
+      throw error;
+    }
+
+    return data.map(row => toConversation(row, false));
+  }
+
+  return readConversationsFile()
+    .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+    .map(row => toConversation(row, false));
+}
+
+// Get a single conversation with its messages, or null if it does not exist
+export async function getConversation(id) {
+  if (isSupabaseConfigured()) {
+    const supabaseAdmin = await getSupabaseAdmin();
+    const { data, error } = await supabaseAdmin
+      .from(CONVERSATIONS_TABLE)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error getting conversation:', error);
+      throw error;
+    }
+
+    return data ? toConversation(data) : null;
+  }
+
+  const row = readConversationsFile().find(conversation => conversation.id === id);
+  return row ? toConversation(row) : null;
+}
+
+// Create a new conversation
+export async function createConversation({ title = 'New conversation', messages = [] } = {}) {
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    title,
+    messages,
+    created_at: now,
+    updated_at: now
+  };
+
+  if (isSupabaseConfigured()) {
+    const supabaseAdmin = await getSupabaseAdmin();
+    const { data, error } = await supabaseAdmin
+      .from(CONVERSATIONS_TABLE)
+      .insert(row)
+      .select('*')
+      .single();
+
+    if (error) {
+      console.error('Error creating conversation:', error);
+      throw error;
+    }
+
+    return toConversation(data);
+  }
+
+  const conversations = readConversationsFile();
+  conversations.push(row);
+  writeConversationsFile(conversations);
+  return toConversation(row);
+}
+
+// Update a conversation's title and/or messages, returning null if it does not exist
+export async function updateConversation(id, { title, messages }) {
+  const changes = { updated_at: new Date().toISOString() };
+  if (title !== undefined) changes.title = title;
+  if (messages !== undefined) changes.messages = messages;
+
+  if (isSupabaseConfigured()) {
+    const supabaseAdmin = await getSupabaseAdmin();
+    const { data, error } = await supabaseAdmin
+      .from(CONVERSATIONS_TABLE)
+      .update(changes)
+      .eq('id', id)
+      .select('*')
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error updating conversation:', error);
+      throw error;
+    }
+
+    return data ? toConversation(data) : null;
+  }
+
+  const conversations = readConversationsFile();
+  const index = conversations.findIndex(conversation => conversation.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  conversations[index] = { ...conversations[index], ...changes };
+  writeConversationsFile(conversations);
+  return toConversation(conversations[index]);
+}
+
+// Delete a conversation, returning whether it existed
+export async function deleteConversation(id) {
+  if (isSupabaseConfigured()) {
+    const supabaseAdmin = await getSupabaseAdmin();
+    const { data, error } = await supabaseAdmin
+      .from(CONVERSATIONS_TABLE)
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) {
+      console.error('Error deleting conversation:', error);
+      throw error;
+    }
+
+    return data.length > 0;
+  }
+
+  const conversations = readConversationsFile();
+  const remaining = conversations.filter(conversation => conversation.id !== id);
+  if (remaining.length === conversations.length) {
+    return false;
+  }
+
+  writeConversationsFile(remaining);
+  return true;
+}
@@ -0,0 +1,128 @@
+// lib/embedding-cache.js
+// Embeddings already computed, keyed by embedding model and a hash of the normalized text, so repeated
+// questions and re-ingested chunks are not sent to the provider again. Recently used entries stay in
+// memory; every entry is also written to its own file under src/data/embedding-cache.
+// Set EMBEDDING_CACHE=off to always call the provider
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashText } from './content-hash.js';
+import { writeFileAtomic } from './atomic-file.js';
+import { getProcessState } from './process-state.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CACHE_DIRECTORY = path.join(__dirname, '..', 'data', 'embedding-cache');
+
+// Entries kept in memory before the least recently used ones are dropped (about 12 KB each at 1536 dimensions)
+const MEMORY_CACHE_SIZE = 500;
+
+// One cache and one set of counters per process
+const state = getProcessState('embeddingCache', () => ({
+  memory: new Map(),
+  stats: { memoryHits: 0, diskHits: 0, misses: 0, writes: 0, errors: 0 }
+}));
+
+export function isEmbeddingCacheEnabled() {
+  return (process.env.EMBEDDING_CACHE || '').toLowerCase() !== 'off';
+}
+
+// Text differing only in whitespace or Unicode composition embeds the same way, so it shares an entry
+export function normalizeEmbeddingText(text) {
+  return text.normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function cacheKey(modelKey, text) {
+  return hashText(`${modelKey}\n${normalizeEmbeddingText(text)}`);
+}
+
+// Entries are spread over subdirectories by the first characters of their key
+function entryPath(key) {
+  return path.join(CACHE_DIRECTORY, key.slice(0, 2), `${key}.json`);
+}
+
+// Add an entry to the in-memory layer, evicting the least recently used beyond the limit
+function remember(key, embedding) {
+  state.memory.delete(key);
+  state.memory.set(key, embedding);
+  if (state.memory.size > MEMORY_CACHE_SIZE) {
+    state.memory.delete(state.memory.keys().next().value);
+  }
+}
+
+function readEntry(key) {
+  const filePath = entryPath(key);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).embedding;
+  } catch (error) {
+    state.stats.errors++;
+    console.error('Error reading embedding cache entry:', error.message);
+    return null;
+  }
+}
+
+// Embedding of a text by a model (a provider modelKey), or null when it has not been cached
+export function getCachedEmbedding(modelKey, text) {
+  if (!isEmbeddingCacheEnabled()) {
+    return null;
+  }
+
+  const key = cacheKey(modelKey, text);
+  if (state.memory.has(key)) {
+    const embedding = state.memory.get(key);
+    remember(key, embedding);
+    state.stats.memoryHits++;
+    return embedding;
+  }
+
+  const embedding = readEntry(key);
+  if (embedding) {
+    remember(key, embedding);
+    state.stats.diskHits++;
+    return embedding;
+  }
+
+  state.stats.misses++;
+  return null;
+}
+
+// Store an embedding; a failed write is logged and otherwise ignored, since the cache is only a shortcut
+export function cacheEmbedding(modelKey, text, embedding) {
+  if (!isEmbeddingCacheEnabled()) {
+    return;
+  }
+
+  const key = cacheKey(modelKey, text);
+  remember(key, embedding);
+
+  try {
+    writeFileAtomic(entryPath(key), JSON.stringify({ model: modelKey, embedding }));
+    state.stats.writes++;
+  } catch (error) {
+    state.stats.errors++;
+    console.error('Error writing embedding cache entry:', error.message);
+  }
+}
+
+// Hit and miss counts since the process started
+export function getEmbeddingCacheStats() {
+  const { memoryHits, diskHits, misses, writes, errors } = state.stats;
+  const hits = memoryHits + diskHits;
+
+  return {
+    enabled: isEmbeddingCacheEnabled(),
+    hits,
+    memoryHits,
+    diskHits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 100) / 100 : null,
+    writes,
+    errors,
+    memoryEntries: state.memory.size
+  };
+}
@@ -0,0 +1,187 @@
+// lib/embeddings.js
+
+// The embeddings API accepts up to 2048 inputs per request; stay well below its token limit too
+const MAX_BATCH_SIZE = 100;
+const MAX_BATCH_TOKENS = 50000;
+const MAX_RETRIES = 6;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Rough token count, only used to keep requests under the API's size limit
+function approximateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Read a header from either a fetch Headers object or the plain object on API errors
+function getHeader(headers, name) {
+  if (!headers) return null;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name] ?? null;
+}
+
+// Parse rate-limit reset durations such as "20ms", "1s" or "6m0s"
+function parseResetDuration(value) {
+  if (!value) return null;
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+// 429s, 5xx responses and dropped connections are worth retrying; other errors are not
+function isRetryable(error) {
+  if (error.status === undefined) return true;
+  return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+// How long to wait before retrying, preferring what the server asked for
+function retryDelay(error, attempt) {
+  const retryAfterMs = parseFloat(getHeader(error.headers, 'retry-after-ms'));
+  if (!Number.isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = getHeader(error.headers, 'retry-after');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (delay > 0) return delay;
+  }
+
+  const reset = Math.max(
+    parseResetDuration(getHeader(error.headers, 'x-ratelimit-reset-requests')) || 0,
+    parseResetDuration(getHeader(error.headers, 'x-ratelimit-reset-tokens')) || 0
+  );
+  if (reset > 0) return reset;
+
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+// Wait time before the next request when the last response says the quota is nearly used up
+function rateLimitPause(headers, nextBatchTokens) {
+  const remainingRequests = parseInt(getHeader(headers, 'x-ratelimit-remaining-requests'), 10);
+  const remainingTokens = parseInt(getHeader(headers, 'x-ratelimit-remaining-tokens'), 10);
+  let pause = 0;
+
+  if (remainingRequests === 0) {
+    pause = Math.max(pause, parseResetDuration(getHeader(headers, 'x-ratelimit-reset-requests')) || 0);
+  }
+  if (!Number.isNaN(remainingTokens) && remainingTokens < nextBatchTokens) {
+    pause = Math.max(pause, parseResetDuration(getHeader(headers, 'x-ratelimit-reset-tokens')) || 0);
+  }
+
+  return pause;
+}
+
+// Group text indices into requests that respect both the input and token limits
+function planBatches(texts, maxBatchSize, maxBatchTokens) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
+
+  texts.forEach((text, index) => {
+    const tokens = approximateTokens(text);
+    if (current.length > 0 && (current.length >= maxBatchSize || currentTokens + tokens > maxBatchTokens)) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(index);
+    currentTokens += tokens;
+  });
+
+  if (current.length > 0) {
+    batches.push(current);
+  }
+  return batches;
+}
+
+// Send one embeddings request, retrying transient failures with backoff
+async function requestEmbeddings(client, model, inputs, maxRetries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // Disable the SDK's own retries so ours can follow the rate-limit headers
+      const { data, response } = await client.embeddings
+        .create({ model, input: inputs }, { maxRetries: 0 })
+        .withResponse();
+
+      const vectors = [...data.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+
+      return { vectors, tokens: data.usage?.total_tokens ?? 0, headers: response.headers };
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = retryDelay(error, attempt);
+      console.log(`⏳ Embedding request failed (${error.status || error.message}), retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Embed many texts with multi-input requests; failed texts are reported instead of dropped,
+// and usage counts the tokens the API billed
+export async function embedTexts(client, texts, {
+  model = 'text-embedding-3-small',
+  maxBatchSize = MAX_BATCH_SIZE,
+  maxBatchTokens = MAX_BATCH_TOKENS,
+  maxRetries = MAX_RETRIES,
+  onBatch
+} = {}) {
+  const embeddings = new Array(texts.length).fill(null);
+  const failures = [];
+  const batches = planBatches(texts, maxBatchSize, maxBatchTokens);
+  const usage = { totalTokens: 0 };
+  let completed = 0;
+  let pauseMs = 0;
+
+  // A request rejected outright is split in half until the offending input is isolated
+  const embedBatch = async (indices, nextBatchTokens) => {
+    if (pauseMs > 0) {
+      console.log(`⏳ Approaching rate limit, pausing ${Math.round(pauseMs)}ms`);
+      await sleep(pauseMs);
+      pauseMs = 0;
+    }
+
+    let result;
+    try {
+      result = await requestEmbeddings(client, model, indices.map(index => texts[index]), maxRetries);
+    } catch (error) {
+      if (indices.length > 1 && !isRetryable(error)) {
+        const middle = Math.ceil(indices.length / 2);
+        await embedBatch(indices.slice(0, middle), nextBatchTokens);
+        await embedBatch(indices.slice(middle), nextBatchTokens);
+        return;
+      }
+      indices.forEach(index => failures.push({ index, error: error.message }));
+      return;
+    }
+
+    pauseMs = rateLimitPause(result.headers, nextBatchTokens);
+    usage.totalTokens += result.tokens;
+    completed += indices.length;
+
+    try {
+      await onBatch?.({ indices, embeddings: result.vectors, completed, total: texts.length });
+      indices.forEach((textIndex, position) => {
+        embeddings[textIndex] = result.vectors[position];
+      });
+    } catch (error) {
+      // The caller could not store this batch, so count it as failed rather than silently missing
+      indices.forEach(index => failures.push({ index, error: error.message }));
+    }
+  };
+
+  for (let i = 0; i < batches.length; i++) {
+    const nextBatchTokens = (batches[i + 1] || []).reduce((sum, index) => sum + approximateTokens(texts[index]), 0);
+    await embedBatch(batches[i], nextBatchTokens);
+  }
+
+  return { embeddings, failures, usage };
+}
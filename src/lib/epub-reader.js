@@ -0,0 +1,119 @@
+// lib/epub-reader.js
+import EPub from 'epub';
+
+// Common named HTML entities found in EPUB chapter files
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+// Open and parse an EPUB file
+function openEpub(filePath) {
+  return new Promise((resolve, reject) => {
+    const epub = new EPub(filePath);
+    epub.on('end', () => resolve(epub));
+    epub.on('error', reject);
+    epub.parse();
+  });
+}
+
+// Load the raw HTML of a spine item
+function getChapterHtml(epub, chapterId) {
+  return new Promise((resolve, reject) => {
+    epub.getChapter(chapterId, (error, html) => {
+      if (error) return reject(error);
+      resolve(html || '');
+    });
+  });
+}
+
+// Convert chapter HTML to plain text, keeping block boundaries as line breaks
+export function htmlToText(html) {
+  return html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|tr)>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match)
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n/g, '\n')
+    .trim();
+}
+
+// Split chapter HTML into sections at the TOC anchors that point into it
+function splitChapterIntoSections(html, anchors) {
+  const boundaries = anchors
+    .map(anchor => {
+      const match = html.match(new RegExp(`<[^>]*\\sid=["']${anchor.id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["']`));
+      return match ? { title: anchor.title, position: match.index } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.position - b.position);
+
+  const sections = [];
+  const firstPosition = boundaries.length > 0 ? boundaries[0].position : html.length;
+
+  // Text before the first section heading belongs to the chapter itself
+  sections.push({ section: null, html: html.slice(0, firstPosition) });
+
+  boundaries.forEach((boundary, index) => {
+    const end = index + 1 < boundaries.length ? boundaries[index + 1].position : html.length;
+    sections.push({ section: boundary.title, html: html.slice(boundary.position, end) });
+  });
+
+  return sections;
+}
+
+// Read an EPUB in spine order, returning its text split by chapter and section
+export async function readEpubBook(filePath) {
+  const epub = await openEpub(filePath);
+
+  // Index TOC entries by the spine file they point into
+  const tocByHref = {};
+  epub.toc.forEach(entry => {
+    if (!entry.href) return;
+    const [href, anchor] = entry.href.split('#');
+    if (!tocByHref[href]) {
+      tocByHref[href] = { title: null, anchors: [] };
+    }
+    if (anchor) {
+      tocByHref[href].anchors.push({ id: anchor, title: entry.title });
+    } else if (!tocByHref[href].title) {
+      tocByHref[href].title = entry.title;
+    }
+  });
+
+  const sections = [];
+
+  for (const item of epub.flow) {
+    const html = await getChapterHtml(epub, item.id);
+    const toc = tocByHref[item.href] || { title: null, anchors: [] };
+    const chapter = toc.title || item.title || null;
+
+    splitChapterIntoSections(html, toc.anchors).forEach(part => {
+      const text = htmlToText(part.html);
+      if (text.length > 0) {
+        sections.push({ chapter, section: part.section, text });
+      }
+    });
+  }
+
+  return {
+    title: epub.metadata.title || null,
+    author: epub.metadata.creator || null,
+    sections
+  };
+}
@@ -0,0 +1,89 @@
+// lib/grounding.js
+import { checkClaims, hasUtilityModel } from './openai.js'
+import { tokenize, termCoverage } from './keyword-search.js'
+import { splitIntoSentences } from './text-processing.js'
+import { CITATION_PATTERN } from './citations.js'
+
+// Sentences with fewer words are connective text rather than claims worth checking
+const MIN_CLAIM_WORDS = 4
+
+// Upper bound on claims checked per answer; later sentences are left unchecked
+const MAX_CLAIMS = 30
+
+// Share of a claim's terms a source must contain for the local checker to count it as support
+const LOCAL_SUPPORTED_COVERAGE = 0.7
+const LOCAL_PARTIAL_COVERAGE = 0.4
+
+// Sentences about the conversation rather than about the books
+const NON_CLAIM_PATTERN = /^(?:I cannot find|I can't find|I couldn't find|I could not find|I hope|Let me know|Feel free|Would you|Could you)/i
+
+// Split an answer into the sentences that make claims, with their offsets in the answer
+export function extractClaims(answer) {
+  return splitIntoSentences(answer)
+    .filter(sentence => {
+      const text = sentence.text.replace(/^(?:[-*•]|\d+[.)])\s+/, '').replace(/\*\*/g, '')
+      return !text.endsWith('?') &&
+        !text.endsWith(':') &&
+        !NON_CLAIM_PATTERN.test(text) &&
+        text.replace(CITATION_PATTERN, '').split(/\s+/).filter(Boolean).length >= MIN_CLAIM_WORDS
+    })
+    .slice(0, MAX_CLAIMS)
+}
+
+// Check claims by how many of their terms appear in a single source
+function checkClaimsLocally(claims, chunks) {
+  const sourceTerms = chunks.map(chunk => new Set(tokenize(chunk.content)))
+
+  return claims.map(claim => {
+    const terms = new Set(tokenize(claim.replace(CITATION_PATTERN, '')))
+    if (terms.size === 0) {
+      return { status: 'supported', sources: [] }
+    }
+
+    const coverage = sourceTerms.map(source => termCoverage(terms, source))
+    const best = Math.max(...coverage)
+    const sources = coverage
+      .map((value, index) => ({ value, number: index + 1 }))
+      .filter(({ value }) => value >= LOCAL_PARTIAL_COVERAGE)
+      .map(({ number }) => number)
+
+    return {
+      status: best >= LOCAL_SUPPORTED_COVERAGE ? 'supported' : best >= LOCAL_PARTIAL_COVERAGE ? 'partial' : 'unsupported',
+      sources
+    }
+  })
+}
+
+// Check claims with the configured verifier, falling back to the local checker when it fails or
+// the provider has no utility model
+async function checkWithVerifier(claims, chunks) {
+  if ((process.env.VERIFIER || 'llm').toLowerCase() === 'llm' && hasUtilityModel()) {
+    try {
+      return { method: 'llm', results: await checkClaims(claims, chunks) }
+    } catch (error) {
+      console.error('LLM answer verification failed, using local checker:', error.message)
+    }
+  }
+  return { method: 'local', results: checkClaimsLocally(claims, chunks) }
+}
+
+// Check every claim in an answer against the chunks it was generated from. Returns
+// { method, claims: [{ text, start, end, status, sources }], unsupportedCount }, or null when VERIFIER=off
+export async function verifyAnswer(answer, chunks) {
+  if ((process.env.VERIFIER || '').toLowerCase() === 'off') {
+    return null
+  }
+
+  const claims = extractClaims(answer)
+  if (claims.length === 0 || chunks.length === 0) {
+    return { method: 'none', claims: [], unsupportedCount: 0 }
+  }
+
+  const { method, results } = await checkWithVerifier(claims.map(claim => claim.text), chunks)
+  const checked = claims.map((claim, index) => ({ ...claim, ...results[index] }))
+  const unsupportedCount = checked.filter(claim => claim.status === 'unsupported').length
+
+  console.log(`Answer verification (${method}): ${unsupportedCount} of ${checked.length} claims unsupported`)
+
+  return { method, claims: checked, unsupportedCount }
+}
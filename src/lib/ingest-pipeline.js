@@ -0,0 +1,276 @@
+// lib/ingest-pipeline.js
+// Book ingestion: load → clean → chunk → embed → store, shared by every ingestion store
+import path from 'path';
+import { loadBook } from './book-loader.js';
+import { CHUNK_SIZE, CHUNK_OVERLAP, CHUNKER_VERSION, chunkText } from './text-processing.js';
+import { hashText, hashFile } from './content-hash.js';
+import { embedTexts } from './embeddings.js';
+import { getEmbeddingProvider, LEGACY_EMBEDDING_MODEL_KEY } from './providers.js';
+import { getCachedEmbedding, cacheEmbedding } from './embedding-cache.js';
+import { invalidateCachedAnswers } from './answer-cache.js';
+
+// Embedding model a stored chunk was embedded with
+function getEmbeddingModelKey(chunk) {
+  return chunk.metadata?.embedding_model ?? LEGACY_EMBEDDING_MODEL_KEY;
+}
+
+// Whether previously stored chunks already cover this exact version of the book
+function isBookUpToDate(storedChunks, bookHash, embeddingModel) {
+  return storedChunks.length > 0 &&
+    storedChunks.every(chunk =>
+      chunk.metadata?.book_hash === bookHash &&
+      chunk.metadata?.book_chunk_count === storedChunks.length &&
+      getEmbeddingModelKey(chunk) === embeddingModel
+    );
+}
+
+// Chunk each chapter/section separately so chunks never straddle them; headings detected in the
+// text fill in what the book's own table of contents does not provide
+export function chunkBook(book, { chunkSize = CHUNK_SIZE, chunkOverlap = CHUNK_OVERLAP } = {}) {
+  return book.sections.flatMap((part, sectionIndex) =>
+    chunkText(part.text, { chunkSize, chunkOverlap }).map(chunk => ({
+      content: chunk.content,
+      contentHash: hashText(chunk.content),
+      tokens: chunk.tokens,
+      sectionIndex,
+      startOffset: chunk.startOffset,
+      endOffset: chunk.endOffset,
+      chapter: part.chapter ?? chunk.chapter,
+      section: part.section ?? chunk.section,
+      ...(book.locatePages ? book.locatePages(chunk.startOffset, chunk.endOffset) : {})
+    }))
+  );
+}
+
+// Chunk metadata stored alongside every embedding, whatever the store
+function buildMetadata({ book, filePath, bookHash, chunkCount, embeddingModel }, chunk, chunkIndex, uploadedAt) {
+  return {
+    book_title: book.bookTitle,
+    author: book.author,
+    chapter: chunk.chapter,
+    section: chunk.section,
+    page_number: chunk.startPage ?? null,
+    page_end: chunk.endPage ?? null,
+    chunk_index: chunkIndex,
+    chunk_length: chunk.content.length,
+    token_count: chunk.tokens,
+    // Character range of the chunk in its section's text (the whole file for .txt books)
+    section_index: chunk.sectionIndex,
+    char_start: chunk.startOffset,
+    char_end: chunk.endOffset,
+    file_path: filePath,
+    file_type: book.fileType,
+    // Add page estimation (very rough) when the source has no real pages
+    estimated_page: chunk.startPage ?? Math.floor(chunkIndex / 3) + 1, // ~3 chunks per page
+    content_hash: chunk.contentHash,
+    book_hash: bookHash,
+    book_chunk_count: chunkCount,
+    embedding_model: embeddingModel,
+    uploaded_at: uploadedAt
+  };
+}
+
+// Ingest a single book into a store, reusing embeddings of chunks whose text and embedding model have
+// not changed, and any the embedding cache already holds. provider defaults to the configured embedding provider (lib/providers.js).
+// onProgress receives { stage, completed, total } as the book moves through the pipeline
+export async function ingestBook(filePath, {
+  store,
+  provider = getEmbeddingProvider(),
+  chunkSize = CHUNK_SIZE,
+  chunkOverlap = CHUNK_OVERLAP,
+  force = false,
+  onProgress
+} = {}) {
+  console.log(`\n📖 Processing: ${path.basename(filePath)}`);
+  const result = { filePath, bookTitle: null, storedCount: 0, embeddedCount: 0, cachedCount: 0, embeddedTokens: 0, failedChunks: [], skipped: false, error: null };
+
+  try {
+    onProgress?.({ stage: 'loading', completed: 0, total: 0 });
+    const book = await loadBook(filePath);
+    result.bookTitle = book.bookTitle;
+
+    const bookHash = hashFile(filePath, `${CHUNKER_VERSION}:${chunkSize}:${chunkOverlap}`);
+    const storedChunks = await store.getBookChunks(book.bookTitle);
+
+    if (!force && isBookUpToDate(storedChunks, bookHash, provider.modelKey)) {
+      console.log(`⏭️  Unchanged since last ingestion, skipping: ${book.bookTitle}`);
+      return { ...result, storedCount: storedChunks.length, skipped: true };
+    }
+
+    const contentLength = book.sections.reduce((sum, part) => sum + part.text.length, 0);
+    console.log(`📄 Book length: ${contentLength} characters`);
+
+    const chunks = contentLength < 100 ? [] : chunkBook(book, { chunkSize, chunkOverlap });
+    if (contentLength < 100) {
+      console.log(`⚠️  Book content too short, skipping: ${book.bookTitle}`);
+    } else {
+      console.log(`✂️  Created ${chunks.length} chunks`);
+    }
+
+    const context = { book, filePath, bookHash, chunkCount: chunks.length, embeddingModel: provider.modelKey };
+
+    // Stored chunks whose text is unchanged are kept; those left over at the end have disappeared from the
+    // source, or were embedded with a different model and cannot be searched alongside the new ones.
+    // A forced run keeps none, but the old chunks stay searchable until finalizeBook replaces them
+    const storedByHash = new Map();
+    const replacedIds = [];
+    storedChunks.forEach(chunk => {
+      const contentHash = chunk.metadata?.content_hash;
+      if (force || getEmbeddingModelKey(chunk) !== provider.modelKey) {
+        replacedIds.push(chunk.id);
+        return;
+      }
+      if (!contentHash) return;
+      if (!storedByHash.has(contentHash)) storedByHash.set(contentHash, []);
+      storedByHash.get(contentHash).push(chunk);
+    });
+    const checkpointEmbeddings = await store.getCheckpointEmbeddings(book.bookTitle);
+
+    // records[i] is the final form of chunks[i], or null until it has an embedding
+    const records = new Array(chunks.length).fill(null);
+    const keptUpdates = [];
+    const pending = [];
+
+    chunks.forEach((chunk, chunkIndex) => {
+      const stored = storedByHash.get(chunk.contentHash)?.shift();
+      if (stored) {
+        const metadata = buildMetadata(context, chunk, chunkIndex, stored.metadata.uploaded_at ?? new Date().toISOString());
+        // Positions shift when text is added or removed, so refresh the metadata of kept chunks
+        if (JSON.stringify(metadata) !== JSON.stringify(stored.metadata)) {
+          keptUpdates.push({ id: stored.id, metadata });
+        }
+        records[chunkIndex] = { content: chunk.content, embedding: stored.embedding, metadata };
+        return;
+      }
+
+      const checkpointed = checkpointEmbeddings[`${provider.modelKey}:${chunk.contentHash}`];
+      if (checkpointed) {
+        records[chunkIndex] = {
+          content: chunk.content,
+          embedding: checkpointed,
+          metadata: buildMetadata(context, chunk, chunkIndex, new Date().toISOString())
+        };
+        return;
+      }
+
+      // Text embedded before, by an earlier version of this book or another one, needs no new request
+      const cached = getCachedEmbedding(provider.modelKey, chunk.content);
+      if (cached) {
+        records[chunkIndex] = {
+          content: chunk.content,
+          embedding: cached,
+          metadata: buildMetadata(context, chunk, chunkIndex, new Date().toISOString())
+        };
+        result.cachedCount++;
+        return;
+      }
+
+      pending.push(chunkIndex);
+    });
+
+    const staleIds = [...replacedIds, ...[...storedByHash.values()].flat().map(chunk => chunk.id)];
+    onProgress?.({ stage: 'embedding', completed: 0, total: pending.length });
+    console.log(`♻️  ${chunks.length - pending.length - result.cachedCount} unchanged chunks kept, ${result.cachedCount} from the embedding cache, ${pending.length} to embed, ${staleIds.length} to remove`);
+
+    // Embed new chunks in multi-input batches and hand each batch to the store right away,
+    // so an interrupted run resumes from what was already saved
+    const { failures, usage } = await embedTexts(provider.client, pending.map(chunkIndex => chunks[chunkIndex].content), {
+      model: provider.model,
+      onBatch: async ({ indices, embeddings, completed, total }) => {
+        const batch = indices.map((pendingIndex, position) => {
+          const chunkIndex = pending[pendingIndex];
+          return {
+            content: chunks[chunkIndex].content,
+            embedding: embeddings[position],
+            metadata: buildMetadata(context, chunks[chunkIndex], chunkIndex, new Date().toISOString())
+          };
+        });
+        await store.writeBatch(book.bookTitle, batch);
+        indices.forEach((pendingIndex, position) => {
+          records[pending[pendingIndex]] = batch[position];
+          cacheEmbedding(provider.modelKey, batch[position].content, batch[position].embedding);
+        });
+        console.log(`✅ Embedded ${completed}/${total} chunks`);
+        onProgress?.({ stage: 'embedding', completed, total });
+      }
+    });
+
+    // A forced run replaces every stored chunk, so it only goes ahead when none are missing; the
+    // previous chunks stay searchable and a later run resumes from the saved batches
+    if (force && failures.length > 0) {
+      throw new Error(`${failures.length} chunks could not be embedded, keeping the previous version of the book`);
+    }
+
+    onProgress?.({ stage: 'storing', completed: pending.length, total: pending.length });
+    await store.finalizeBook(book.bookTitle, {
+      records: records.filter(Boolean),
+      keptUpdates,
+      staleIds
+    });
+
+    if (staleIds.length > 0) {
+      console.log(force
+        ? `🧹 Removed ${staleIds.length} chunks of the previous ingestion`
+        : `🧹 Removed ${staleIds.length} chunks no longer in the source or embedded with another model`);
+    }
+
+    // Answers drawn from the previous version of the book may no longer match it
+    const invalidatedAnswers = invalidateCachedAnswers(book.bookTitle);
+    if (invalidatedAnswers > 0) {
+      console.log(`🧹 Dropped ${invalidatedAnswers} cached answers drawn from this book`);
+    }
+
+    result.storedCount = records.filter(Boolean).length;
+    result.embeddedCount = pending.length - failures.length;
+    result.embeddedTokens = usage.totalTokens;
+    result.failedChunks = failures.map(failure => ({
+      bookTitle: book.bookTitle,
+      chunkIndex: pending[failure.index],
+      preview: chunks[pending[failure.index]].content.substring(0, 80),
+      error: failure.error
+    }));
+
+    console.log(`✅ Completed ${book.bookTitle}: ${result.storedCount} chunks stored (${result.embeddedCount} embedded, ${failures.length} failed)`);
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Error processing ${filePath}:`, error);
+    return { ...result, error: error.message };
+  }
+}
+
+// Ingest several books one after another; pass prune to drop books whose files are gone
+export async function ingestBooks(filePaths, { store, prune = false, ...options } = {}) {
+  const summary = {
+    results: [],
+    totalStored: 0,
+    totalEmbedded: 0,
+    totalCached: 0,
+    totalEmbeddedTokens: 0,
+    skippedBooks: 0,
+    failedBooks: [],
+    failedChunks: [],
+    removedCount: 0
+  };
+
+  for (const filePath of filePaths) {
+    const result = await ingestBook(filePath, { store, ...options });
+    summary.results.push(result);
+    summary.totalStored += result.storedCount;
+    summary.totalEmbedded += result.embeddedCount;
+    summary.totalCached += result.cachedCount;
+    summary.totalEmbeddedTokens += result.embeddedTokens;
+    summary.failedChunks.push(...result.failedChunks);
+    if (result.skipped) summary.skippedBooks++;
+    if (result.error) summary.failedBooks.push(result);
+  }
+
+  if (prune) {
+    summary.removedCount = await store.removeMissingBooks(filePaths.map(filePath => path.basename(filePath)));
+    if (summary.removedCount > 0) {
+      console.log(`\n🧹 Removed ${summary.removedCount} chunks of books no longer in the books directory`);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,206 @@
+// lib/ingest-stores.js
+// Targets the ingestion pipeline can write to. Each store implements:
+//   getBookChunks(bookTitle)            -> stored chunks of a book ({ id, metadata, embedding? })
+//   getCheckpointEmbeddings(bookTitle)  -> embeddings saved by an interrupted run, keyed by "<embedding model>:<content hash>"
+//   writeBatch(bookTitle, records)      -> persist freshly embedded chunks as soon as they exist
+//   finalizeBook(bookTitle, changes)    -> apply the book's final state once every batch is done
+//   clearBook(bookTitle)                -> remove every chunk of a book
+//   removeMissingBooks(fileNames)       -> drop chunks of books whose files are gone, returns the count
+import path from 'path';
+import { loadBookChunks, saveBookChunks, loadIngestCheckpoint, saveIngestCheckpoint } from './local-storage.js';
+
+// Generate unique ID for chunks
+function generateChunkId(bookTitle, chunkIndex) {
+  return `${bookTitle.replace(/[^a-zA-Z0-9]/g, '_')}_chunk_${chunkIndex}`;
+}
+
+// Local file store (src/data/book-chunks.json and its vectors file) with a checkpoint file for resumable runs
+export function createLocalIngestStore() {
+  let libraryChunks = null;
+  let checkpoint = null;
+
+  const load = async () => {
+    if (libraryChunks === null) {
+      libraryChunks = await loadBookChunks();
+      checkpoint = loadIngestCheckpoint();
+    }
+  };
+
+  return {
+    name: 'local',
+
+    async checkConnection() {},
+
+    // Chunks whose vectors were lost are left out, so they are embedded again
+    async getBookChunks(bookTitle) {
+      await load();
+      return libraryChunks.filter(chunk => chunk.metadata?.book_title === bookTitle && chunk.embedding !== null);
+    },
+
+    async getCheckpointEmbeddings(bookTitle) {
+      await load();
+      return checkpoint[bookTitle] || {};
+    },
+
+    // New embeddings go to the checkpoint; the chunks file is rewritten once per finished book
+    async writeBatch(bookTitle, records) {
+      await load();
+      checkpoint[bookTitle] = checkpoint[bookTitle] || {};
+      records.forEach(record => {
+        checkpoint[bookTitle][`${record.metadata.embedding_model}:${record.metadata.content_hash}`] = record.embedding;
+      });
+      saveIngestCheckpoint(checkpoint);
+    },
+
+    async finalizeBook(bookTitle, { records }) {
+      await load();
+      libraryChunks = [
+        ...libraryChunks.filter(chunk => chunk.metadata?.book_title !== bookTitle),
+        ...records.map(record => ({ id: generateChunkId(bookTitle, record.metadata.chunk_index), ...record }))
+      ];
+      await saveBookChunks(libraryChunks);
+
+      delete checkpoint[bookTitle];
+      saveIngestCheckpoint(checkpoint);
+    },
+
+    async clearBook(bookTitle) {
+      await load();
+      libraryChunks = libraryChunks.filter(chunk => chunk.metadata?.book_title !== bookTitle);
+      await saveBookChunks(libraryChunks);
+
+      delete checkpoint[bookTitle];
+      saveIngestCheckpoint(checkpoint);
+    },
+
+    async removeMissingBooks(fileNames) {
+      await load();
+      const present = new Set(fileNames);
+      const remaining = libraryChunks.filter(chunk =>
+        !chunk.metadata?.file_path || present.has(path.basename(chunk.metadata.file_path))
+      );
+      const removedCount = libraryChunks.length - remaining.length;
+
+      if (removedCount > 0) {
+        libraryChunks = remaining;
+        await saveBookChunks(libraryChunks);
+      }
+      return removedCount;
+    }
+  };
+}
+
+// Supabase `book_chunks` table; every embedded batch is inserted right away
+export function createSupabaseIngestStore(supabaseAdmin) {
+  // Clear existing chunks for a book (useful for re-uploading)
+  const clearBookChunks = async (bookTitle) => {
+    try {
+      const { error } = await supabaseAdmin
+        .from('book_chunks')
+        .delete()
+        .eq('metadata->>book_title', bookTitle);
+
+      if (error) throw error;
+      console.log(`✅ Cleared existing chunks for: ${bookTitle}`);
+    } catch (error) {
+      console.error(`❌ Error clearing chunks for ${bookTitle}:`, error);
+      throw error;
+    }
+  };
+
+  return {
+    name: 'supabase',
+
+    async checkConnection() {
+      const { error } = await supabaseAdmin.from('book_chunks').select('count', { count: 'exact', head: true });
+      if (error) throw error;
+    },
+
+    // Fetch the stored rows of a book (without embeddings), paging past the API row limit
+    async getBookChunks(bookTitle) {
+      const pageSize = 1000;
+      const rows = [];
+
+      for (let from = 0; ; from += pageSize) {
+        const { data, error } = await supabaseAdmin
+          .from('book_chunks')
+          .select('id, metadata')
+          .eq('metadata->>book_title', bookTitle)
+          .order('id')
+          .range(from, from + pageSize - 1);
+
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < pageSize) break;
+      }
+
+      return rows;
+    },
+
+    // Inserted batches are the checkpoint: a resumed run finds them by content hash
+    async getCheckpointEmbeddings() {
+      return {};
+    },
+
+    // Upload chunks to Supabase in batches
+    async writeBatch(bookTitle, records) {
+      const batchSize = 10; // Supabase handles larger batches well
+
+      for (let i = 0; i < records.length; i += batchSize) {
+        const { error } = await supabaseAdmin
+          .from('book_chunks')
+          .insert(records.slice(i, i + batchSize));
+
+        if (error) {
+          console.error(`❌ Error uploading batch starting at index ${i}:`, error);
+          throw error;
+        }
+
+        // Small delay to avoid overwhelming Supabase
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    },
+
+    // Refresh metadata of kept rows, then remove rows whose text disappeared from the source
+    async finalizeBook(bookTitle, { keptUpdates, staleIds }) {
+      for (let i = 0; i < keptUpdates.length; i += 10) {
+        await Promise.all(keptUpdates.slice(i, i + 10).map(async ({ id, metadata }) => {
+          const { error } = await supabaseAdmin.from('book_chunks').update({ metadata }).eq('id', id);
+          if (error) throw error;
+        }));
+      }
+
+      for (let i = 0; i < staleIds.length; i += 100) {
+        const { error } = await supabaseAdmin
+          .from('book_chunks')
+          .delete()
+          .in('id', staleIds.slice(i, i + 100));
+
+        if (error) throw error;
+      }
+    },
+
+    clearBook: clearBookChunks,
+
+    // Rows are not tied to files in the books directory, so nothing is pruned here
+    async removeMissingBooks() {
+      return 0;
+    }
+  };
+}
+
+export const INGEST_STORES = ['local', 'supabase'];
+
+// Create the ingestion store by name; Supabase is imported lazily because it needs its env vars
+export async function getIngestStore(name) {
+  if (name === 'local') {
+    return createLocalIngestStore();
+  }
+
+  if (name === 'supabase') {
+    const { supabaseAdmin } = await import('./supabase.js');
+    return createSupabaseIngestStore(supabaseAdmin);
+  }
+
+  throw new Error(`Unknown ingestion store "${name}" (expected one of: ${INGEST_STORES.join(', ')})`);
+}
@@ -0,0 +1,209 @@
+// lib/job-queue.js
+// Persistent queue of background jobs, kept in a JSON file next to the local chunk store.
+// The server process works through queued jobs one at a time, running each in a worker thread
+// (lib/job-worker.js) so reading, chunking and indexing a book never hold up requests
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { fileURLToPath } from 'url';
+import { writeFileAtomic } from './atomic-file.js';
+import { getProcessState } from './process-state.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const JOBS_FILE = path.join(__dirname, '..', 'data', 'jobs.json');
+
+const WORKER_FILE = path.join(__dirname, 'job-worker.js');
+
+// Finished jobs kept so the UI can show how they ended
+const MAX_FINISHED_JOBS = 100;
+
+// One worker and one set of handlers per process
+const state = getProcessState('jobQueue', () => ({
+  handlers: {},
+  running: false,
+  recovered: false,
+  events: new EventEmitter().setMaxListeners(0)
+}));
+
+export function isJobActive(job) {
+  return job?.status === 'queued' || job?.status === 'running';
+}
+
+// Load all jobs, oldest first
+function readJobs() {
+  if (!fs.existsSync(JOBS_FILE)) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+  } catch (error) {
+    console.error('Error reading job queue:', error);
+    return [];
+  }
+}
+
+// Save all jobs, dropping the oldest finished ones beyond the limit
+function writeJobs(jobs) {
+  const finished = jobs.filter(job => !isJobActive(job));
+  const dropped = new Set(finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)));
+
+  writeFileAtomic(JOBS_FILE, JSON.stringify(jobs.filter(job => !dropped.has(job)), null, 2));
+}
+
+// Apply changes to a stored job and notify subscribers
+function updateJob(id, changes) {
+  const jobs = readJobs();
+  const job = jobs.find(job => job.id === id);
+  if (!job) {
+    return null;
+  }
+
+  Object.assign(job, changes);
+  writeJobs(jobs);
+  state.events.emit('update', job);
+  return job;
+}
+
+// Register the function that runs jobs of a type, exported as exportName by the module at moduleUrl
+// (pass import.meta.url) so the worker thread can import it: handler(payload, { report }) returns the
+// job result, and report({ stage, completed, total }) records progress
+export function registerJobHandler(type, moduleUrl, exportName) {
+  state.handlers[type] = { moduleUrl, exportName };
+}
+
+// Add a job to the queue and wake the worker
+export function createJob(type, payload) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    status: 'queued',
+    stage: null,
+    completed: 0,
+    total: 0,
+    error: null,
+    result: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+
+  writeJobs([...readJobs(), job]);
+  state.events.emit('update', job);
+  startWorker();
+  return job;
+}
+
+export function getJob(id) {
+  return readJobs().find(job => job.id === id) || null;
+}
+
+// Jobs oldest first, optionally only those matching a predicate
+export function listJobs(predicate = () => true) {
+  return readJobs().filter(predicate);
+}
+
+// Call listener(job) on every change of a job until the returned function is called
+export function subscribeToJob(id, listener) {
+  const onUpdate = (job) => {
+    if (job.id === id) listener(job);
+  };
+  state.events.on('update', onUpdate);
+  return () => state.events.off('update', onUpdate);
+}
+
+// Jobs still marked running were interrupted by a server restart; queue them again
+function recoverInterruptedJobs() {
+  const jobs = readJobs();
+  const interrupted = jobs.filter(job => job.status === 'running');
+  if (interrupted.length === 0) {
+    return;
+  }
+
+  interrupted.forEach(job => Object.assign(job, { status: 'queued', stage: null, startedAt: null }));
+  writeJobs(jobs);
+  console.log(`🔁 Re-queued ${interrupted.length} interrupted job(s)`);
+}
+
+// Run a job's handler in a worker thread, recording the progress it reports
+function runInWorkerThread({ moduleUrl, exportName }, job) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(WORKER_FILE, { workerData: { moduleUrl, exportName, payload: job.payload } });
+    let settled = false;
+    const settle = (finish, value) => {
+      if (settled) return;
+      settled = true;
+      // Open connections or timers left by the handler would otherwise keep the thread alive
+      worker.terminate();
+      finish(value);
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        const { stage, completed, total } = message;
+        updateJob(job.id, { stage, completed, total });
+      } else if (message.type === 'completed') {
+        settle(resolve, message.result);
+      } else if (message.type === 'failed') {
+        settle(reject, Object.assign(new Error(message.error), { stack: message.stack, result: message.result }));
+      }
+    });
+    worker.on('error', error => settle(reject, error));
+    worker.on('exit', code => settle(reject, new Error(`Job worker stopped with exit code ${code}`)));
+  });
+}
+
+async function runWorker() {
+  if (!state.recovered) {
+    recoverInterruptedJobs();
+    state.recovered = true;
+  }
+
+  let job;
+  while ((job = readJobs().find(job => job.status === 'queued'))) {
+    const handler = state.handlers[job.type];
+    if (!handler) {
+      // Handlers register when their module loads; leave the job for when that happens
+      return;
+    }
+
+    updateJob(job.id, { status: 'running', startedAt: new Date().toISOString() });
+
+    try {
+      const result = await runInWorkerThread(handler, job);
+      updateJob(job.id, { status: 'completed', stage: null, result: result ?? null, finishedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Job ${job.type} ${job.id} failed:`, error);
+      updateJob(job.id, {
+        status: 'failed',
+        stage: null,
+        error: error.message,
+        result: error.result ?? null,
+        finishedAt: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Start working through queued jobs unless the worker is already busy
+export function startWorker() {
+  if (state.running) {
+    return;
+  }
+
+  state.running = true;
+  runWorker()
+    .catch(error => console.error('Job worker stopped:', error))
+    .finally(() => {
+      state.running = false;
+      // A job queued while the worker was finishing up would otherwise wait for the next one
+      if (readJobs().some(job => job.status === 'queued' && state.handlers[job.type])) {
+        startWorker();
+      }
+    });
+}
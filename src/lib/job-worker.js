@@ -0,0 +1,16 @@
+// lib/job-worker.js
+// Worker thread that runs one job for lib/job-queue.js: it imports the job's handler, runs it and posts
+// the handler's progress reports and outcome back to the server process
+import { parentPort, workerData } from 'worker_threads';
+
+const { moduleUrl, exportName, payload } = workerData;
+
+try {
+  const handler = (await import(moduleUrl))[exportName];
+  const result = await handler(payload, {
+    report: ({ stage, completed = 0, total = 0 }) => parentPort.postMessage({ type: 'progress', stage, completed, total })
+  });
+  parentPort.postMessage({ type: 'completed', result: result ?? null });
+} catch (error) {
+  parentPort.postMessage({ type: 'failed', error: error.message, stack: error.stack, result: error.result ?? null });
+}
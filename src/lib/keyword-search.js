@@ -0,0 +1,102 @@
+// lib/keyword-search.js
+
+// BM25 tuning: term-frequency saturation and document-length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Reciprocal rank fusion constant; dampens the weight of the very top ranks
+const RRF_K = 60;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for',
+  'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of',
+  'on', 'or', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your'
+]);
+
+// Split text into lowercase search terms, dropping stopwords and simple plural endings
+export function tokenize(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [];
+
+  return words
+    .map(word => word.replace(/['’]s$/, ''))
+    .filter(word => !STOPWORDS.has(word))
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+// Share of the query terms (a Set) found in a text's terms (a Set), 0 when there are no query terms
+export function termCoverage(queryTerms, textTerms) {
+  if (queryTerms.size === 0) return 0;
+  let covered = 0;
+  queryTerms.forEach(term => {
+    if (textTerms.has(term)) covered++;
+  });
+  return covered / queryTerms.size;
+}
+
+// Build an in-memory BM25 index over documents
+export function createKeywordIndex(documents, getText = document => document.content) {
+  const postings = new Map();
+  const lengths = [];
+
+  documents.forEach((document, documentIndex) => {
+    const terms = tokenize(getText(document));
+    lengths.push(terms.length);
+
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    counts.forEach((termFrequency, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, []);
+      }
+      postings.get(term).push({ documentIndex, termFrequency });
+    });
+  });
+
+  const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+  // Score documents containing any query term, best first
+  function search(query, limit = 20) {
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const list = postings.get(term);
+      if (!list) continue;
+
+      const idf = Math.log(1 + (documents.length - list.length + 0.5) / (list.length + 0.5));
+
+      for (const { documentIndex, termFrequency } of list) {
+        const lengthNorm = 1 - BM25_B + BM25_B * (lengths[documentIndex] / (averageLength || 1));
+        const score = idf * (termFrequency * (BM25_K1 + 1)) / (termFrequency + BM25_K1 * lengthNorm);
+        scores.set(documentIndex, (scores.get(documentIndex) || 0) + score);
+      }
+    }
+
+    return [...scores.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([documentIndex, score]) => ({ document: documents[documentIndex], score }));
+  }
+
+  return { search, size: documents.length };
+}
+
+// Merge several best-first rankings into one using reciprocal rank fusion
+export function reciprocalRankFusion(rankings, getId = item => item.id) {
+  const fused = new Map();
+
+  rankings.forEach(ranking => {
+    ranking.forEach((item, rank) => {
+      const id = getId(item);
+      const entry = fused.get(id) || { item: {}, score: 0 };
+      entry.item = { ...entry.item, ...item };
+      entry.score += 1 / (RRF_K + rank + 1);
+      fused.set(id, entry);
+    });
+  });
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ item, score }) => ({ ...item, fusionScore: score }));
+}
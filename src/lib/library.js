@@ -0,0 +1,217 @@
+// lib/library.js
+// Book files in src/books and the background jobs that ingest or remove them
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isSupportedBookFile, loadBook } from './book-loader.js';
+import { getIngestStore } from './ingest-stores.js';
+import { ingestBook } from './ingest-pipeline.js';
+import { getEmbeddingProvider } from './providers.js';
+import { invalidateCachedAnswers } from './answer-cache.js';
+import { getVectorStoreName, getBookStats } from './vector-store.js';
+import { writeFileAtomic } from './atomic-file.js';
+import { registerJobHandler, createJob, getJob, listJobs, subscribeToJob, startWorker, isJobActive } from './job-queue.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Same directory the ingest CLI reads from
+const BOOKS_DIRECTORY = path.join(__dirname, '..', 'books');
+
+// Failed chunks recorded on a job; the rest are only counted
+const MAX_REPORTED_FAILURES = 20;
+
+// Path of a book file, or null when the name is not a plain supported file name
+function resolveBookPath(fileName) {
+  if (typeof fileName !== 'string' || path.basename(fileName) !== fileName || !isSupportedBookFile(fileName)) {
+    return null;
+  }
+  return path.join(BOOKS_DIRECTORY, fileName);
+}
+
+// Convert a queued job into the shape returned by the API
+function toJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    fileName: job.payload.fileName,
+    status: job.status,
+    stage: job.stage,
+    completed: job.completed,
+    total: job.total,
+    error: job.error,
+    result: job.result,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+// Most recent job for a book file
+function latestJob(fileName) {
+  return listJobs(job => job.payload?.fileName === fileName).pop() || null;
+}
+
+// Book title as stored in the index, falling back to reading the file
+async function getBookTitle(fileName, bookBreakdown) {
+  const indexed = Object.entries(bookBreakdown).find(([, book]) => book.fileName === fileName);
+  if (indexed) {
+    return indexed[0];
+  }
+
+  const filePath = resolveBookPath(fileName);
+  if (filePath && fs.existsSync(filePath)) {
+    return (await loadBook(filePath)).bookTitle;
+  }
+  return null;
+}
+
+// Embed and store a book, recording how many chunks were processed and what the embeddings cost
+export async function runIngestJob({ fileName, force }, { report }) {
+  const filePath = resolveBookPath(fileName);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`Book file not found: ${fileName}`);
+  }
+
+  const store = await getIngestStore(getVectorStoreName());
+  const provider = getEmbeddingProvider();
+  const result = await ingestBook(filePath, { store, provider, force, onProgress: report });
+
+  const summary = {
+    bookTitle: result.bookTitle,
+    storedCount: result.storedCount,
+    embeddedCount: result.embeddedCount,
+    cachedCount: result.cachedCount,
+    embeddedTokens: result.embeddedTokens,
+    cost: result.embeddedTokens * provider.pricePerToken,
+    failedChunkCount: result.failedChunks.length,
+    failedChunks: result.failedChunks.slice(0, MAX_REPORTED_FAILURES).map(({ chunkIndex, error }) => ({ chunkIndex, error })),
+    skipped: result.skipped
+  };
+
+  if (result.error) {
+    throw Object.assign(new Error(result.error), { result: summary });
+  }
+  return summary;
+}
+
+// Remove a book's chunks from the store, then its file
+export async function runDeleteJob({ fileName }, { report }) {
+  report({ stage: 'removing' });
+  // Look the title up when the job runs, after any queued ingestion of this book has finished
+  const bookTitle = await getBookTitle(fileName, (await getBookStats()).bookBreakdown);
+
+  if (bookTitle) {
+    const store = await getIngestStore(getVectorStoreName());
+    await store.clearBook(bookTitle);
+    invalidateCachedAnswers(bookTitle);
+  }
+
+  const filePath = resolveBookPath(fileName);
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+
+  return { bookTitle };
+}
+
+// Both handlers run in the job worker thread, which imports them from this module
+registerJobHandler('ingest', import.meta.url, 'runIngestJob');
+registerJobHandler('delete', import.meta.url, 'runDeleteJob');
+
+// List book files and indexed books with their chunk counts and ingestion status
+export async function listLibrary() {
+  // Pick up jobs left queued by a previous server process
+  startWorker();
+
+  const { bookBreakdown } = await getBookStats();
+  const indexedByFile = new Map(
+    Object.entries(bookBreakdown)
+      .filter(([, book]) => book.fileName)
+      .map(([title, book]) => [book.fileName, { title, ...book }])
+  );
+
+  const files = fs.existsSync(BOOKS_DIRECTORY)
+    ? fs.readdirSync(BOOKS_DIRECTORY).filter(isSupportedBookFile)
+    : [];
+  const fileNames = [...new Set([...files, ...indexedByFile.keys()])].sort((a, b) => a.localeCompare(b));
+
+  return fileNames.map(fileName => {
+    const indexed = indexedByFile.get(fileName);
+    const filePath = path.join(BOOKS_DIRECTORY, fileName);
+    const stat = files.includes(fileName) ? fs.statSync(filePath) : null;
+    const job = latestJob(fileName);
+
+    let status = indexed ? 'indexed' : 'not_indexed';
+    if (isJobActive(job)) {
+      status = job.type === 'delete' ? 'deleting' : job.status === 'queued' ? 'queued' : 'ingesting';
+    } else if (job?.status === 'failed') {
+      status = 'failed';
+    }
+
+    return {
+      id: fileName,
+      fileName,
+      title: indexed?.title || null,
+      fileSize: stat?.size ?? null,
+      fileMissing: !stat,
+      updatedAt: stat?.mtime.toISOString() ?? null,
+      chunkCount: indexed?.chunkCount || 0,
+      totalTokens: indexed?.totalTokens || 0,
+      status,
+      job: job ? toJob(job) : null
+    };
+  });
+}
+
+// A library job by id, or null if there is no such job
+export function getLibraryJob(id) {
+  startWorker();
+  const job = getJob(id);
+  return job ? toJob(job) : null;
+}
+
+// Call listener(job) whenever a library job changes; returns a function that stops listening
+export function watchLibraryJob(id, listener) {
+  return subscribeToJob(id, job => listener(toJob(job)));
+}
+
+// Queue (re-)ingestion of a book file; force re-embeds every chunk. Returns null if the file does not exist
+export function startIngestion(fileName, { force = false } = {}) {
+  const filePath = resolveBookPath(fileName);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  const active = latestJob(fileName);
+  if (active?.status === 'queued' && active.type === 'ingest' && active.payload.force === force) {
+    return toJob(active);
+  }
+
+  return toJob(createJob('ingest', { fileName, force }));
+}
+
+// Save an uploaded book file and queue its ingestion. Returns null if the name is not a supported book file
+export function addBook(fileName, data) {
+  const filePath = resolveBookPath(fileName);
+  if (!filePath) {
+    return null;
+  }
+
+  writeFileAtomic(filePath, data);
+
+  return startIngestion(fileName);
+}
+
+// Queue removal of a book's chunks and file. Returns null if the library has no such book
+export async function removeBook(fileName) {
+  const filePath = resolveBookPath(fileName);
+  const { bookBreakdown } = await getBookStats();
+  const isIndexed = Object.values(bookBreakdown).some(book => book.fileName === fileName);
+
+  if (!filePath || (!fs.existsSync(filePath) && !isIndexed)) {
+    return null;
+  }
+
+  return toJob(createJob('delete', { fileName }));
+}
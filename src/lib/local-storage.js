@@ -1,7 +1,17 @@
 // lib/local-storage.js
+// Chunks are kept in src/data/book-chunks.json and their embeddings, as unit-length float32 vectors, in a
+// binary file next to it. Both are loaded once per process and searched in memory until the files change.
+// LOCAL_VECTOR_INDEX picks how: auto (the default) builds an approximate IVF index once the library holds
+// IVF_MIN_VECTORS chunks and scans every chunk below that, exact always scans and ivf always uses the index
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
+import { createKeywordIndex } from './keyword-search.js';
+import { summarizeBooks, isChunkInScopes } from './book-scope.js';
+import { IVF_MIN_VECTORS, normalizeVector, buildIvf, createVectorIndex } from './vector-index.js';
+import { writeFileAtomic } from './atomic-file.js';
+import { getProcessState } from './process-state.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,6 +19,22 @@ const __dirname = path.dirname(__filename);
 // Path to store the processed chunks
 const CHUNKS_FILE = path.join(__dirname, '..', 'data', 'book-chunks.json');
 
+// Path to store the chunks' embeddings and vector index
+const VECTORS_FILE = path.join(__dirname, '..', 'data', 'book-chunks.vectors.bin');
+
+// The vectors file starts with "BCV1", then the vector size, vector count, IVF group count and the count the
+// IVF centroids were trained on (little-endian uint32s) and a SHA-256 fingerprint of the indexed chunks.
+// Vectors follow, then the IVF centroids and each vector's group. In the chunks file, indexed chunks have no
+// embedding field and chunks whose vectors were lost have `embedding: null`
+const VECTORS_FILE_MAGIC = 'BCV1';
+const VECTORS_FILE_HEADER_BYTES = 52;
+
+// Loaded chunks and their vector index, shared by every route bundle and kept until the chunks file changes
+const state = getProcessState('localChunkLibrary', () => ({ version: null, library: null }));
+
+// Path to store embeddings of a book whose ingestion has not finished yet
+const CHECKPOINT_FILE = path.join(__dirname, '..', 'data', 'ingest-checkpoint.json');
+
 // Ensure data directory exists
 function ensureDataDirectory() {
   const dataDir = path.dirname(CHUNKS_FILE);
@@ -17,12 +43,260 @@ function ensureDataDirectory() {
   }
 }
 
+// How vector searches run, from LOCAL_VECTOR_INDEX
+function getIndexMode() {
+  const mode = (process.env.LOCAL_VECTOR_INDEX || 'auto').trim().toLowerCase();
+  if (!['auto', 'exact', 'ivf'].includes(mode)) {
+    throw new Error(`Unknown LOCAL_VECTOR_INDEX "${mode}" (expected one of: auto, exact, ivf)`);
+  }
+  return mode;
+}
+
+function shouldUseIvf(vectorCount) {
+  const mode = getIndexMode();
+  return vectorCount > 0 && (mode === 'ivf' || (mode === 'auto' && vectorCount >= IVF_MIN_VECTORS));
+}
+
+// Identifies the chunks file contents the warm library was loaded from
+function getChunksFileVersion() {
+  const { mtimeMs, size } = fs.statSync(CHUNKS_FILE);
+  return `${mtimeMs}:${size}`;
+}
+
+// Fingerprint of the indexed chunks and of what their embeddings were made from, so a vectors file is never
+// paired with a chunks file it was not written with, even one holding the same chunk IDs
+function fingerprintChunks(chunks) {
+  const entries = chunks.map(chunk => `${chunk.id}:${chunk.metadata?.content_hash ?? ''}:${chunk.metadata?.embedding_model ?? ''}`);
+  return crypto.createHash('sha256').update(entries.join('\n')).digest();
+}
+
+// Most common embedding size; embeddings of another size (from an earlier model) are kept out of the index
+function getIndexDimensions(chunks) {
+  const counts = new Map();
+  chunks.forEach(chunk => {
+    if (chunk.embedding?.length > 0) {
+      counts.set(chunk.embedding.length, (counts.get(chunk.embedding.length) || 0) + 1);
+    }
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 0;
+}
+
+// Build the in-memory library: every chunk whose embedding has the index's size gets a row in the index and
+// a view of its unit vector as its embedding. rowChunks[row] is the position in chunks of that row's chunk
+function createLibrary(chunks, rowChunks, vectors, dimensions, ivf, missingVectors = 0) {
+  const rowOfChunk = new Int32Array(chunks.length).fill(-1);
+  rowChunks.forEach((chunkIndex, row) => {
+    rowOfChunk[chunkIndex] = row;
+  });
+
+  const libraryChunks = chunks.map((chunk, chunkIndex) => {
+    const row = rowOfChunk[chunkIndex];
+    return row >= 0 ? { ...chunk, embedding: vectors.subarray(row * dimensions, (row + 1) * dimensions) } : chunk;
+  });
+
+  return {
+    chunks: libraryChunks,
+    rowChunks,
+    rowOfChunk,
+    index: createVectorIndex(vectors, dimensions, ivf),
+    // Chunks with an embedding of another size, compared one by one
+    looseChunks: libraryChunks.filter((chunk, chunkIndex) => rowOfChunk[chunkIndex] < 0 && chunk.embedding?.length > 0),
+    // Chunks whose vectors were lost; vector search refuses to run until they are embedded again
+    missingVectors,
+    keywordIndex: null
+  };
+}
+
+// Index chunks whose embeddings are plain arrays or vectors of a loaded library. Vectors of previous, the
+// library the chunks were loaded from, are reused as they are and keep their IVF group
+function indexChunks(chunks, previous = null) {
+  const dimensions = getIndexDimensions(chunks);
+  const rowChunks = [];
+  chunks.forEach((chunk, chunkIndex) => {
+    if (dimensions > 0 && chunk.embedding?.length === dimensions) {
+      rowChunks.push(chunkIndex);
+    }
+  });
+
+  const previousRows = new Map(previous ? previous.rowChunks.map((chunkIndex, row) => [previous.chunks[chunkIndex].embedding, row]) : []);
+  const previousIvf = previous?.index.ivf ?? null;
+  const vectors = new Float32Array(rowChunks.length * dimensions);
+  const knownAssignments = new Int32Array(rowChunks.length).fill(-1);
+
+  rowChunks.forEach((chunkIndex, row) => {
+    const { embedding } = chunks[chunkIndex];
+    const previousRow = previousRows.get(embedding);
+    vectors.set(previousRow !== undefined ? embedding : normalizeVector(embedding), row * dimensions);
+    if (previousRow !== undefined && previousIvf) {
+      knownAssignments[row] = previousIvf.assignments[previousRow];
+    }
+  });
+
+  const ivf = shouldUseIvf(rowChunks.length)
+    ? buildIvf(vectors, dimensions, { previous: previousIvf, knownAssignments })
+    : null;
+  return createLibrary(chunks, rowChunks, vectors, dimensions, ivf);
+}
+
+// Write the index's vectors, IVF centroids and groups in the vectors file format
+function writeVectorsFile(library, filePath) {
+  const { index, rowChunks, chunks } = library;
+  const ivf = index.ivf;
+  const header = Buffer.alloc(VECTORS_FILE_HEADER_BYTES);
+  header.write(VECTORS_FILE_MAGIC, 0, 'ascii');
+  header.writeUInt32LE(index.dimensions, 4);
+  header.writeUInt32LE(index.size, 8);
+  header.writeUInt32LE(ivf?.listCount ?? 0, 12);
+  header.writeUInt32LE(ivf?.trainedCount ?? 0, 16);
+  fingerprintChunks(rowChunks.map(chunkIndex => chunks[chunkIndex])).copy(header, 20);
+
+  const parts = [header, index.vectors, ...(ivf ? [ivf.centroids, ivf.assignments] : [])]
+    .map(part => Buffer.from(part.buffer, part.byteOffset, part.byteLength));
+  fs.writeFileSync(filePath, Buffer.concat(parts));
+}
+
+// Read a vectors file written with these chunks: { dimensions, vectors, ivf }, or null when it is
+// missing or belongs to another version of the chunks file
+function readVectorsFile(filePath, indexedChunks) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  // Typed arrays need 4-byte aligned offsets; copy the file only when it was read into an unaligned buffer
+  const file = fs.readFileSync(filePath);
+  if (file.length < VECTORS_FILE_HEADER_BYTES) {
+    return null;
+  }
+
+  const bytes = file.byteOffset % 4 === 0 ? file : new Uint8Array(file);
+  const header = Buffer.from(bytes.buffer, bytes.byteOffset, VECTORS_FILE_HEADER_BYTES);
+  const dimensions = header.readUInt32LE(4);
+  const count = header.readUInt32LE(8);
+
+  if (header.toString('ascii', 0, 4) !== VECTORS_FILE_MAGIC ||
+      count !== indexedChunks.length ||
+      !header.subarray(20, 52).equals(fingerprintChunks(indexedChunks))) {
+    return null;
+  }
+
+  // A file cut short, by a full disk say, matches on its header alone
+  const listCount = header.readUInt32LE(12);
+  const expectedBytes = VECTORS_FILE_HEADER_BYTES + 4 * (count * dimensions + (listCount > 0 ? listCount * dimensions + count : 0));
+  if (file.length !== expectedBytes) {
+    return null;
+  }
+
+  let offset = bytes.byteOffset + VECTORS_FILE_HEADER_BYTES;
+  const vectors = new Float32Array(bytes.buffer, offset, count * dimensions);
+  offset += vectors.byteLength;
+
+  if (listCount === 0) {
+    return { dimensions, vectors, ivf: null };
+  }
+
+  const centroids = new Float32Array(bytes.buffer, offset, listCount * dimensions);
+  offset += centroids.byteLength;
+  const assignments = new Uint32Array(bytes.buffer, offset, count);
+  return { dimensions, vectors, ivf: { listCount, trainedCount: header.readUInt32LE(16), centroids, assignments } };
+}
+
+// Move a finished temporary vectors file into place. A process that loaded the chunks file in between the
+// two renames of saveBookChunks may have moved it already
+function moveVectorsFileIntoPlace() {
+  try {
+    fs.renameSync(`${VECTORS_FILE}.tmp`, VECTORS_FILE);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+}
+
+// Vectors for these chunks: the vectors file, or the temporary one a save interrupted between its two renames
+// left behind, which is then moved into place. Null when neither matches the chunks
+function readMatchingVectors(indexedChunks) {
+  const stored = readVectorsFile(VECTORS_FILE, indexedChunks);
+  if (stored) {
+    return stored;
+  }
+
+  const pending = readVectorsFile(`${VECTORS_FILE}.tmp`, indexedChunks);
+  if (pending) {
+    console.log(`🔧 Completing an interrupted save of ${path.basename(VECTORS_FILE)}`);
+    moveVectorsFileIntoPlace();
+  }
+  return pending;
+}
+
+const EMPTY_LIBRARY = { chunks: [], rowChunks: [], rowOfChunk: new Int32Array(0), index: createVectorIndex(new Float32Array(0), 0), looseChunks: [], missingVectors: 0, keywordIndex: null };
+
+// The chunks and their vector index, read from disk only when the chunks file has changed
+function loadLibrary() {
+  if (!fs.existsSync(CHUNKS_FILE)) {
+    state.version = null;
+    state.library = null;
+    return EMPTY_LIBRARY;
+  }
+
+  const version = getChunksFileVersion();
+  if (state.version === version) {
+    return state.library;
+  }
+
+  const chunks = JSON.parse(fs.readFileSync(CHUNKS_FILE, 'utf-8'));
+  // Chunks without an embedding field have theirs in the vectors file, in the same order
+  const rowChunks = chunks.flatMap((chunk, chunkIndex) => chunk.embedding === undefined ? [chunkIndex] : []);
+  const stored = rowChunks.length > 0 ? readMatchingVectors(rowChunks.map(chunkIndex => chunks[chunkIndex])) : null;
+
+  let library;
+  if (stored) {
+    const ivf = shouldUseIvf(rowChunks.length)
+      ? stored.ivf ?? buildIvf(stored.vectors, stored.dimensions)
+      : null;
+    library = createLibrary(chunks, rowChunks, stored.vectors, stored.dimensions, ivf);
+  } else if (rowChunks.length > 0) {
+    // Searching without these chunks would quietly miss them, so vector search fails until ingestion,
+    // which re-embeds chunks that have no vectors, has run again
+    console.error(`❌ ${path.basename(VECTORS_FILE)} is missing or does not match ${path.basename(CHUNKS_FILE)}: ${rowChunks.length} chunks have no vectors. Run the ingestion again to re-embed them`);
+    const lost = new Set(rowChunks);
+    library = indexChunks(chunks.map((chunk, chunkIndex) => lost.has(chunkIndex) ? { ...chunk, embedding: null } : chunk));
+    library.missingVectors = rowChunks.length;
+  } else {
+    // Chunks files from before the vectors file keep every embedding inline
+    library = indexChunks(chunks);
+  }
+
+  state.version = version;
+  state.library = library;
+
+  const { ivf } = library.index;
+  console.log(`📚 Loaded ${library.chunks.length} chunks (${ivf ? `IVF index with ${ivf.listCount} groups` : 'exact search'})`);
+  return library;
+}
+
 // Save chunks to local file
 export async function saveBookChunks(chunks) {
   ensureDataDirectory();
   
   try {
-    fs.writeFileSync(CHUNKS_FILE, JSON.stringify(chunks, null, 2));
+    const library = indexChunks(chunks, state.library);
+
+    // Indexed embeddings live in the vectors file; the others stay inline as plain arrays, or null when missing
+    const storedChunks = library.chunks.map((chunk, chunkIndex) => {
+      if (library.rowOfChunk[chunkIndex] >= 0) {
+        const { embedding, ...rest } = chunk;
+        return rest;
+      }
+      return { ...chunk, embedding: chunk.embedding ? Array.from(chunk.embedding) : null };
+    });
+
+    // The vectors file is written to a temporary file first and the chunks file goes into place before it:
+    // should the process stop before the vectors file follows, the next load finds the matching temporary
+    // vectors file and completes the save
+    writeVectorsFile(library, `${VECTORS_FILE}.tmp`);
+    writeFileAtomic(CHUNKS_FILE, JSON.stringify(storedChunks, null, 2));
+    moveVectorsFileIntoPlace();
+
+    state.version = getChunksFileVersion();
+    state.library = library;
     console.log(`✅ Saved ${chunks.length} chunks to ${CHUNKS_FILE}`);
     return true;
   } catch (error) {
@@ -31,7 +305,7 @@ export async function saveBookChunks(chunks) {
   }
 }
 
-// Load chunks from local file
+// Load chunks from local file; indexed embeddings are unit-length Float32Array views into the index
 export async function loadBookChunks() {
   try {
     if (!fs.existsSync(CHUNKS_FILE)) {
@@ -39,17 +313,42 @@ export async function loadBookChunks() {
       return [];
     }
     
-    const data = fs.readFileSync(CHUNKS_FILE, 'utf-8');
-    const chunks = JSON.parse(data);
-    return chunks;
+    return [...loadLibrary().chunks];
   } catch (error) {
     console.error('Error loading chunks:', error);
     return [];
   }
 }
 
+// Load embeddings saved by an interrupted ingestion run, keyed by book title then content hash
+export function loadIngestCheckpoint() {
+  try {
+    if (!fs.existsSync(CHECKPOINT_FILE)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(CHECKPOINT_FILE, 'utf-8'));
+  } catch (error) {
+    console.error('Error loading ingestion checkpoint:', error);
+    return {};
+  }
+}
+
+// Save ingestion progress so an interrupted run can resume without re-embedding
+export function saveIngestCheckpoint(checkpoint) {
+  ensureDataDirectory();
+
+  if (Object.keys(checkpoint).length === 0) {
+    if (fs.existsSync(CHECKPOINT_FILE)) {
+      fs.unlinkSync(CHECKPOINT_FILE);
+    }
+    return;
+  }
+
+  writeFileAtomic(CHECKPOINT_FILE, JSON.stringify(checkpoint));
+}
+
 // Calculate cosine similarity between two vectors
-function cosineSimilarity(vecA, vecB) {
+export function cosineSimilarity(vecA, vecB) {
   if (vecA.length !== vecB.length) {
     throw new Error('Vectors must have the same length');
   }
@@ -74,37 +373,87 @@ function cosineSimilarity(vecA, vecB) {
   return dotProduct / (normA * normB);
 }
 
-// Search for similar chunks using cosine similarity
-export async function searchBookChunks(queryEmbedding, matchThreshold = 0.75, matchCount = 5) {
+// Search for similar chunks using cosine similarity, optionally only within some books or chapters
+export async function searchBookChunks(queryEmbedding, matchThreshold = 0.75, matchCount = 5, scopes = null) {
   try {
-    const chunks = await loadBookChunks();
-    
-    if (chunks.length === 0) {
-      return [];
+    const { chunks, rowChunks, index, looseChunks, missingVectors } = loadLibrary();
+    if (missingVectors > 0) {
+      throw new Error(`${missingVectors} chunks have no vectors; run the ingestion again to re-embed them`);
     }
-    
-    // Calculate similarity for each chunk
-    const similarities = chunks.map(chunk => {
-      const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
-      return {
-        ...chunk,
-        similarity
-      };
-    });
-    
-    // Filter by threshold and sort by similarity
-    const filtered = similarities
-      .filter(chunk => chunk.similarity >= matchThreshold)
+
+    const results = [];
+
+    if (index.size > 0 && index.dimensions === queryEmbedding.length) {
+      // Scoped searches scan the chunks in scope exactly; the others go through the IVF index when there is one
+      index
+        .search(queryEmbedding, {
+          limit: matchCount,
+          minSimilarity: matchThreshold,
+          filter: scopes ? row => isChunkInScopes(chunks[rowChunks[row]], scopes) : null
+        })
+        .forEach(({ row, similarity }) => results.push({ ...chunks[rowChunks[row]], similarity }));
+    }
+
+    looseChunks
+      .filter(chunk => chunk.embedding.length === queryEmbedding.length && isChunkInScopes(chunk, scopes))
+      .forEach(chunk => {
+        const similarity = cosineSimilarity(queryEmbedding, chunk.embedding);
+        if (similarity >= matchThreshold) {
+          results.push({ ...chunk, similarity });
+        }
+      });
+
+    return results
       .sort((a, b) => b.similarity - a.similarity)
       .slice(0, matchCount);
-    
-    return filtered;
   } catch (error) {
     console.error('Error searching chunks:', error);
     throw error;
   }
 }
 
+// Search chunks by keyword relevance (BM25), best first, optionally only within some books or chapters
+export async function keywordSearchBookChunks(queryText, matchCount = 20, scopes = null) {
+  try {
+    const library = loadLibrary();
+    if (library.chunks.length === 0) {
+      return [];
+    }
+
+    // Built on first use and kept with the loaded chunks
+    library.keywordIndex ??= createKeywordIndex(library.chunks);
+
+    // The index covers every book, so scoped searches rank all matches before filtering
+    const index = library.keywordIndex;
+    return index
+      .search(queryText, scopes ? index.size : matchCount)
+      .filter(({ document }) => isChunkInScopes(document, scopes))
+      .slice(0, matchCount)
+      .map(({ document, score }) => ({ ...document, keywordScore: score }));
+  } catch (error) {
+    console.error('Error searching chunks by keyword:', error);
+    throw error;
+  }
+}
+
+// Get the chunks of a book whose chunk_index lies within [fromIndex, toIndex], in reading order
+export async function getBookChunkRange(bookTitle, fromIndex, toIndex) {
+  try {
+    const chunks = await loadBookChunks();
+
+    return chunks
+      .filter(chunk => {
+        const chunkIndex = Number(chunk.metadata?.chunk_index);
+        return chunk.metadata?.book_title === bookTitle && chunkIndex >= fromIndex && chunkIndex <= toIndex;
+      })
+      .sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index)
+      .map(({ embedding, ...chunk }) => chunk);
+  } catch (error) {
+    console.error('Error getting chunk range:', error);
+    throw error;
+  }
+}
+
 // Get statistics about stored chunks
 export async function getBookStats() {
   try {
@@ -119,18 +468,13 @@ export async function getBookStats() {
     }
     
     // Group by book title
-    const bookStats = {};
-    chunks.forEach(chunk => {
-      const title = chunk.metadata?.book_title || 'Unknown';
-      if (!bookStats[title]) {
-        bookStats[title] = {
-          chunkCount: 0,
-          totalTokens: 0
-        };
-      }
-      bookStats[title].chunkCount += 1;
-      bookStats[title].totalTokens += parseInt(chunk.metadata?.estimated_tokens) || 0;
-    });
+    const bookStats = summarizeBooks(chunks.map(chunk => ({
+      title: chunk.metadata?.book_title || 'Unknown',
+      chapter: chunk.metadata?.chapter || null,
+      chunkIndex: chunk.metadata?.chunk_index,
+      tokens: parseInt(chunk.metadata?.token_count ?? chunk.metadata?.estimated_tokens) || 0,
+      filePath: chunk.metadata?.file_path
+    })));
     
     return {
       totalChunks: chunks.length,
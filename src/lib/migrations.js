@@ -0,0 +1,41 @@
+// lib/migrations.js
+// Versioned SQL migrations for the Supabase database, kept in supabase/migrations as NNNN_description.sql.
+// src/scripts/migrate.js applies them in order and records each one in the schema_migrations table
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { hashText } from './content-hash.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MIGRATIONS_DIRECTORY = path.join(__dirname, '..', '..', 'supabase', 'migrations');
+
+export const MIGRATIONS_TABLE = 'schema_migrations';
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.sql$/;
+
+// Migration files in version order: [{ version, name, fileName, sql, checksum }]
+export function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIRECTORY)
+    .map(fileName => ({ fileName, match: fileName.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ fileName, match }) => {
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIRECTORY, fileName), 'utf-8');
+      return { version: Number(match[1]), name: match[2], fileName, sql, checksum: hashText(sql) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Two migrations share version ${migration.version}: ${migrations[index - 1].fileName} and ${migration.fileName}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Schema version the code expects: that of the newest migration
+export function getExpectedSchemaVersion() {
+  return listMigrations().at(-1)?.version ?? 0;
+}
@@ -0,0 +1,143 @@
+// lib/offline-provider.js
+// A stand-in for the OpenAI client that needs no network: embeddings are feature-hashed terms
+// and chat replies are built from the request itself. Both are deterministic, so the whole
+// pipeline (ingestion, retrieval, chat) can be developed and tested offline
+import { tokenize } from './keyword-search.js';
+import { countTokens, countMessageTokens } from './tokenizer.js';
+import { splitIntoSentences } from './text-processing.js';
+
+// Same size as text-embedding-3-small, so offline vectors fit the book_chunks table
+export const OFFLINE_EMBEDDING_DIMENSIONS = 1536;
+
+// Sentences quoted from the sources in an offline answer
+const ANSWER_SENTENCES = 3;
+
+const NOT_FOUND_REPLY = 'I cannot find information about that in the provided books';
+
+// 32-bit FNV-1a hash of a string
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Hash terms and adjacent term pairs into a unit vector; texts sharing words end up close together
+export function hashEmbedding(text, dimensions = OFFLINE_EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const terms = tokenize(text);
+  const features = [...terms, ...terms.slice(1).map((term, index) => `${terms[index]} ${term}`)];
+
+  features.forEach(feature => {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += hash & 0x80000000 ? -1 : 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  if (norm === 0) {
+    // Keep empty texts comparable instead of producing a zero vector
+    vector[0] = 1;
+    return vector;
+  }
+  return vector.map(value => value / norm);
+}
+
+// Sources in a chat system prompt, written as "[Source N - Title]:\n<text>" blocks
+function parseSources(systemPrompt) {
+  return [...systemPrompt.matchAll(/\[Source (\d+)[^\]]*\]:\n([\s\S]*?)(?=\n\n---\n\n\[Source |$)/g)]
+    .map(([, number, text]) => ({ number: Number(number), text }));
+}
+
+// Answer from the sources when the request has any: quote the sentences sharing the most terms with
+// the question. Anything else is answered with the last line of the user's message, without its label.
+// There is no utility model offline, so requests for JSON (grading, answerability, claim checks) are refused
+export function generateOfflineReply(request) {
+  if (request.response_format?.type === 'json_object') {
+    throw new Error('The offline provider has no utility model for JSON requests');
+  }
+
+  const systemPrompt = request.messages.find(message => message.role === 'system')?.content || '';
+  const lastUserMessage = [...request.messages].reverse().find(message => message.role === 'user')?.content || '';
+  const sources = parseSources(systemPrompt);
+
+  if (sources.length === 0) {
+    const lastLine = lastUserMessage.trim().split('\n').pop();
+    return lastLine.replace(/^[\w\s]{1,40}:\s*/, '');
+  }
+
+  const questionTerms = new Set(tokenize(lastUserMessage));
+  const ranked = sources
+    .flatMap(source => splitIntoSentences(source.text).map(sentence => ({
+      source: source.number,
+      text: sentence.text,
+      score: tokenize(sentence.text).filter(term => questionTerms.has(term)).length
+    })))
+    .filter(sentence => sentence.score > 0)
+    .sort((a, b) => b.score - a.score || a.source - b.source)
+    .slice(0, ANSWER_SENTENCES);
+
+  if (ranked.length === 0) {
+    return NOT_FOUND_REPLY;
+  }
+
+  return ranked.map(sentence => `According to Source ${sentence.source}, "${sentence.text}"`).join('\n\n');
+}
+
+// A promise like the OpenAI SDK's, including .withResponse() for the rate-limit headers
+function apiPromise(data) {
+  const promise = Promise.resolve(data);
+  promise.withResponse = async () => ({ data, response: { headers: new Headers() } });
+  return promise;
+}
+
+function abortError() {
+  const error = new Error('Request was aborted.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Stream a reply word by word, ending with a usage part like the API does with include_usage
+async function* streamReply(content, usage, signal) {
+  for (const word of content.match(/\S+\s*/g) || []) {
+    if (signal?.aborted) throw abortError();
+    yield { choices: [{ index: 0, delta: { content: word } }] };
+  }
+  yield { choices: [], usage };
+}
+
+// Client exposing the parts of the OpenAI SDK this app uses
+export function createOfflineClient() {
+  return {
+    models: {
+      list: async () => ({ data: [{ id: 'offline' }] })
+    },
+    embeddings: {
+      create({ input }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        return apiPromise({
+          data: inputs.map((text, index) => ({ index, embedding: hashEmbedding(text) })),
+          usage: { total_tokens: inputs.reduce((sum, text) => sum + countTokens(text), 0) }
+        });
+      }
+    },
+    chat: {
+      completions: {
+        async create(request, { signal } = {}) {
+          if (signal?.aborted) throw abortError();
+
+          const content = generateOfflineReply(request);
+          const promptTokens = countMessageTokens(request.messages, request.model);
+          const completionTokens = countTokens(content, request.model);
+          const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+
+          if (request.stream) {
+            return streamReply(content, request.stream_options?.include_usage ? usage : undefined, signal);
+          }
+          return { choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }], usage };
+        }
+      }
+    }
+  };
+}
@@ -1,88 +1,345 @@
 // lib/openai.js
-import OpenAI from 'openai'
+// Chat and embedding calls, sent to whichever provider lib/providers.js is configured with
+import { countTokens, countMessageTokens } from './tokenizer.js'
+import { getChatProvider, getEmbeddingProvider } from './providers.js'
+import { getCachedEmbedding, cacheEmbedding } from './embedding-cache.js'
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-})
-
-// Generate embedding for a given text
+// Generate embedding for a given text, reusing a cached one when the same text was embedded before
 export async function generateEmbedding(text) {
   try {
-    const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text.trim(),
+    const { client, model, modelKey } = getEmbeddingProvider()
+    const input = text.trim()
+    const cached = getCachedEmbedding(modelKey, input)
+    if (cached) {
+      return cached
+    }
+
+    const response = await client.embeddings.create({
+      model,
+      input,
     })
 
-    return response.data[0].embedding
+    const embedding = response.data[0].embedding
+    cacheEmbedding(modelKey, input, embedding)
+    return embedding
   } catch (error) {
     console.error('Error generating embedding:', error)
     throw new Error(`Failed to generate embedding: ${error.message}`)
   }
 }
 
-// Generate chat response using GPT-4o
-export async function generateChatResponse(question, relevantChunks) {
+// Token budget for prior conversation turns sent along with a question
+const HISTORY_TOKEN_BUDGET = 2000
+
+// Token budget for the book excerpts placed in the system prompt
+const CONTEXT_TOKEN_BUDGET = 6000
+
+// Keep the most recent conversation turns that fit within the token budget
+export function selectHistoryWindow(history = [], maxTokens = HISTORY_TOKEN_BUDGET) {
+  const { chatModel } = getChatProvider()
+  const recentTurns = []
+  let usedTokens = 0
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const turnTokens = countTokens(history[i].content, chatModel)
+    if (usedTokens + turnTokens > maxTokens) break
+    recentTurns.unshift({ role: history[i].role, content: history[i].content })
+    usedTokens += turnTokens
+  }
+
+  return recentTurns
+}
+
+// Keep the best-ranked chunks whose combined size fits within the context budget
+export function selectContextChunks(chunks = [], maxTokens = CONTEXT_TOKEN_BUDGET) {
+  const { chatModel } = getChatProvider()
+  const selected = []
+  let usedTokens = 0
+
+  for (const chunk of chunks) {
+    const chunkTokens = countTokens(chunk.content, chatModel)
+    if (usedTokens + chunkTokens > maxTokens) break
+    selected.push(chunk)
+    usedTokens += chunkTokens
+  }
+
+  return selected
+}
+
+// Convert the API's usage report, adding our own prompt count to compare against
+function formatUsage(usage, estimatedPromptTokens) {
+  return {
+    promptTokens: usage?.prompt_tokens ?? null,
+    completionTokens: usage?.completion_tokens ?? null,
+    totalTokens: usage?.total_tokens ?? null,
+    estimatedPromptTokens
+  }
+}
+
+// Whether the chat provider has a model for grading, checks and question rewriting
+export function hasUtilityModel() {
+  return getChatProvider().utilityModel !== null
+}
+
+// Rewrite a follow-up question into a standalone query suitable for retrieval
+export async function rewriteQuestion(question, history = []) {
+  const recentTurns = selectHistoryWindow(history)
+  if (recentTurns.length === 0 || !hasUtilityModel()) {
+    return question
+  }
+
   try {
-    // Prepare the context from relevant chunks
-    const context = relevantChunks
-      .map((chunk, index) => {
-        const bookTitle = chunk.metadata?.book_title || 'Unknown Book'
-        return `[Source ${index + 1} - ${bookTitle}]:\n${chunk.content}`
-      })
-      .join('\n\n---\n\n')
+    const transcript = recentTurns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+      .join('\n\n')
+
+    const { client, utilityModel } = getChatProvider()
+    const response = await client.chat.completions.create({
+      model: utilityModel,
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the user\'s latest question so it can be understood without the conversation. Resolve pronouns and references like "the second point" using the conversation. Keep names and specific terms. Reply with the rewritten question only. If it is already standalone, repeat it unchanged.'
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${transcript}\n\nLatest question: ${question}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: 200
+    })
 
-    // Create the system prompt
-    const systemPrompt = `You are an AI assistant that answers questions based ONLY on the provided book excerpts. 
+    return response.choices[0].message.content?.trim() || question
+  } catch (error) {
+    // Retrieval still works on the raw question, so a failed rewrite is not fatal
+    console.error('Error rewriting question:', error)
+    return question
+  }
+}
+
+// Build the chat model request for a question, its relevant chunks and the prior conversation
+function buildChatRequest(question, relevantChunks, history = []) {
+  // Prepare the context from relevant chunks (the caller normally trims them to the budget already)
+  const context = selectContextChunks(relevantChunks)
+    .map((chunk, index) => {
+      const bookTitle = chunk.metadata?.book_title || 'Unknown Book'
+      return `[Source ${index + 1} - ${bookTitle}]:\n${chunk.content}`
+    })
+    .join('\n\n---\n\n')
+
+  // Create the system prompt
+  const systemPrompt = `You are an AI assistant that answers questions based ONLY on the provided book excerpts. 
 
 IMPORTANT RULES:
 1. Only use information from the provided sources below
 2. If the answer cannot be found in the sources, say "I cannot find information about that in the provided books"
-3. Always cite which source(s) you're referencing (e.g., "According to Source 1...")
+3. Always cite which source(s) you're referencing by number (e.g., "According to Source 1..."), and only cite sources listed below
 4. Be conversational and helpful in your tone
 5. If multiple sources have relevant information, synthesize them coherently
 
 Available Sources:
 ${context}`
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+  const messages = [
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    ...selectHistoryWindow(history),
+    {
+      role: 'user',
+      content: question
+    }
+  ]
+
+  return {
+    model: getChatProvider().chatModel,
+    messages,
+    temperature: 0.1, // Keep responses focused and consistent
+    max_tokens: 1500,
+    top_p: 1,
+    frequency_penalty: 0,
+    presence_penalty: 0
+  }
+}
+
+// Generate chat response with the chat model, returning the answer and the tokens it used
+export async function generateChatResponse(question, relevantChunks, history = []) {
+  try {
+    const chatRequest = buildChatRequest(question, relevantChunks, history)
+    const response = await getChatProvider().client.chat.completions.create(chatRequest)
+    const usage = formatUsage(response.usage, countMessageTokens(chatRequest.messages, chatRequest.model))
+
+    console.log(`Chat tokens: ${usage.promptTokens} prompt (${usage.estimatedPromptTokens} estimated), ${usage.completionTokens} completion`)
+
+    return { answer: response.choices[0].message.content, usage }
+  } catch (error) {
+    console.error('Error generating chat response:', error)
+    throw new Error(`Failed to generate response: ${error.message}`)
+  }
+}
+
+// Stream the chat model's response token by token; pass an AbortSignal to stop generation early
+// and onUsage to receive the token usage once the answer is complete
+export async function* streamChatResponse(question, relevantChunks, { history = [], signal, onUsage } = {}) {
+  const chatRequest = buildChatRequest(question, relevantChunks, history)
+  let stream
+  try {
+    stream = await getChatProvider().client.chat.completions.create(
+      { ...chatRequest, stream: true, stream_options: { include_usage: true } },
+      { signal }
+    )
+  } catch (error) {
+    console.error('Error starting chat response stream:', error)
+    throw new Error(`Failed to generate response: ${error.message}`)
+  }
+
+  for await (const part of stream) {
+    const token = part.choices[0]?.delta?.content
+    if (token) {
+      yield token
+    }
+
+    // The final part carries the usage for the whole request and no choices
+    if (part.usage) {
+      const usage = formatUsage(part.usage, countMessageTokens(chatRequest.messages, chatRequest.model))
+      console.log(`Chat tokens: ${usage.promptTokens} prompt (${usage.estimatedPromptTokens} estimated), ${usage.completionTokens} completion`)
+      onUsage?.(usage)
+    }
+  }
+}
+
+// Grade how relevant each passage is to the question, returning scores between 0 and 1
+export async function gradeRelevance(question, chunks) {
+  const passages = chunks
+    .map((chunk, index) => `[Passage ${index + 1}]\n${chunk.content.substring(0, 1500)}`)
+    .join('\n\n')
+
+  try {
+    const { client, utilityModel } = getChatProvider()
+    const response = await client.chat.completions.create({
+      model: utilityModel,
       messages: [
         {
           role: 'system',
-          content: systemPrompt
+          content: `You grade how useful book passages are for answering a question. Score each passage from 0 (irrelevant) to 10 (directly answers it). Reply with JSON only: {"scores": [one number per passage, in order]}`
         },
         {
           role: 'user',
-          content: question
+          content: `Question: ${question}\n\n${passages}`
         }
       ],
-      temperature: 0.1, // Keep responses focused and consistent
-      max_tokens: 1500,
-      top_p: 1,
-      frequency_penalty: 0,
-      presence_penalty: 0
+      temperature: 0,
+      response_format: { type: 'json_object' }
     })
 
-    return response.choices[0].message.content
+    const { scores } = JSON.parse(response.choices[0].message.content)
+    if (!Array.isArray(scores) || scores.length !== chunks.length) {
+      throw new Error(`Expected ${chunks.length} scores, got ${Array.isArray(scores) ? scores.length : 'none'}`)
+    }
+
+    return scores.map(score => Math.min(Math.max(Number(score) || 0, 0), 10) / 10)
   } catch (error) {
-    console.error('Error generating chat response:', error)
-    throw new Error(`Failed to generate response: ${error.message}`)
+    console.error('Error grading relevance:', error)
+    throw new Error(`Failed to grade relevance: ${error.message}`)
   }
 }
 
-// Function to validate OpenAI API key
+// Judge whether the passages contain the answer to a question, returning { score } between 0 and 1 and
+// up to three rephrased questions the passages could answer better
+export async function judgeAnswerability(question, chunks) {
+  const passages = chunks
+    .map((chunk, index) => `[Passage ${index + 1}]\n${chunk.content.substring(0, 1500)}`)
+    .join('\n\n')
+
+  try {
+    const { client, utilityModel } = getChatProvider()
+    const response = await client.chat.completions.create({
+      model: utilityModel,
+      messages: [
+        {
+          role: 'system',
+          content: `You decide whether book passages contain the answer to a question. Score from 0 (the answer is not in the passages) to 10 (the passages answer it completely). Also suggest up to three rephrasings of the question that these books could answer well, closer to what the passages actually discuss. Reply with JSON only: {"score": number, "suggestions": [strings]}`
+        },
+        {
+          role: 'user',
+          content: `Question: ${question}\n\n${passages}`
+        }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    })
+
+    const { score, suggestions } = JSON.parse(response.choices[0].message.content)
+    if (!Number.isFinite(Number(score))) {
+      throw new Error('Expected a numeric score')
+    }
+
+    return {
+      score: Math.min(Math.max(Number(score), 0), 10) / 10,
+      suggestions: Array.isArray(suggestions)
+        ? suggestions.filter(suggestion => typeof suggestion === 'string' && suggestion.trim()).map(suggestion => suggestion.trim()).slice(0, 3)
+        : []
+    }
+  } catch (error) {
+    console.error('Error judging answerability:', error)
+    throw new Error(`Failed to judge answerability: ${error.message}`)
+  }
+}
+
+// Check each claim against the numbered sources, returning { status, sources } per claim where status is
+// "supported", "partial" or "unsupported" and sources lists the supporting source numbers
+export async function checkClaims(claims, chunks) {
+  const sources = chunks
+    .map((chunk, index) => `[Source ${index + 1}]\n${chunk.content}`)
+    .join('\n\n')
+  const statements = claims
+    .map((claim, index) => `${index + 1}. ${claim}`)
+    .join('\n')
+
+  try {
+    const { client, utilityModel } = getChatProvider()
+    const response = await client.chat.completions.create({
+      model: utilityModel,
+      messages: [
+        {
+          role: 'system',
+          content: `You check whether statements are backed by book sources. For each statement, answer "supported" if the sources state or directly imply all of it, "partial" if they back only part of it, and "unsupported" if they do not back it at all. Judge only against the sources, not your own knowledge. Reply with JSON only: {"results": [{"status": "supported" | "partial" | "unsupported", "sources": [numbers of the sources that back it]}, one per statement, in order]}`
+        },
+        {
+          role: 'user',
+          content: `${sources}\n\nStatements:\n${statements}`
+        }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    })
+
+    const { results } = JSON.parse(response.choices[0].message.content)
+    if (!Array.isArray(results) || results.length !== claims.length) {
+      throw new Error(`Expected ${claims.length} results, got ${Array.isArray(results) ? results.length : 'none'}`)
+    }
+
+    return results.map(result => ({
+      status: ['supported', 'partial', 'unsupported'].includes(result?.status) ? result.status : 'unsupported',
+      sources: Array.isArray(result?.sources)
+        ? [...new Set(result.sources.map(Number))].filter(number => number >= 1 && number <= chunks.length)
+        : []
+    }))
+  } catch (error) {
+    console.error('Error checking claims:', error)
+    throw new Error(`Failed to check claims: ${error.message}`)
+  }
+}
+
+// Function to validate the chat provider's credentials
 export async function validateOpenAIKey() {
   try {
-    await openai.models.list()
+    await getChatProvider().client.models.list()
     return true
   } catch (error) {
-    console.error('OpenAI API key validation failed:', error)
+    console.error('Chat provider validation failed:', error)
     return false
   }
 }
-
-// Estimate token count (rough approximation)
-export function estimateTokens(text) {
-  return Math.ceil(text.split(/\s+/).length / 0.75)
-}
\ No newline at end of file
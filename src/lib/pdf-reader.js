@@ -0,0 +1,134 @@
+// lib/pdf-reader.js
+import fs from 'fs';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+// A gap between lines this many times the page's usual line spacing starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 1.4;
+
+// A line that ends a sentence and is shorter than this share of the page's widest line ends its paragraph
+const SHORT_LINE_RATIO = 0.8;
+
+// Group a page's text items into lines with their baseline and horizontal extent. A line ends where the
+// PDF reports one or where the next item sits on another baseline
+function itemsToLines(items) {
+  const lines = [];
+  let current = null;
+
+  items.forEach(item => {
+    const [, , , , x, y] = item.transform;
+    if (current && item.str && current.y !== null && Math.abs(y - current.y) > (item.height || 1) / 2) {
+      lines.push(current);
+      current = null;
+    }
+
+    current = current || { text: '', y: null, left: Infinity, right: -Infinity };
+    if (item.str) {
+      current.text += item.str;
+      current.y = current.y ?? y;
+      current.left = Math.min(current.left, x);
+      current.right = Math.max(current.right, x + item.width);
+    }
+
+    if (item.hasEOL) {
+      lines.push(current);
+      current = null;
+    }
+  });
+  if (current) lines.push(current);
+
+  return lines
+    .map(line => ({ ...line, text: line.text.replace(/[ \t]+/g, ' ').trim() }))
+    .filter(line => line.text.length > 0);
+}
+
+// Join the text items of a page into lines, with a blank line between paragraphs so that wrapped lines
+// are read as one paragraph when chunking
+function pageItemsToText(items) {
+  const lines = itemsToLines(items);
+  const gaps = lines.slice(1).map((line, index) => lines[index].y - line.y).filter(gap => gap > 0).sort((a, b) => a - b);
+  const usualGap = gaps[Math.floor(gaps.length / 2)] ?? 0;
+  const widest = Math.max(0, ...lines.map(line => line.right - line.left));
+
+  return lines
+    .map((line, index) => {
+      if (index === 0) return line.text;
+
+      const previous = lines[index - 1];
+      const endsParagraph = (usualGap > 0 && previous.y - line.y > usualGap * PARAGRAPH_GAP_RATIO) ||
+        (/[.!?:"'”’)]$/.test(previous.text) && previous.right - previous.left < widest * SHORT_LINE_RATIO);
+      return (endsParagraph ? '\n\n' : '\n') + line.text;
+    })
+    .join('');
+}
+
+// Text placed after a page when joining it to the next one; a page that ends mid-sentence continues its
+// paragraph on the next
+function pageSeparator(page) {
+  return /[.!?:"'”’)]$/.test(page.text) ? '\n\n' : '\n';
+}
+
+// Join the pages' text into one text
+export function joinPages(pages) {
+  return pages
+    .map((page, index) => (index === 0 ? '' : pageSeparator(pages[index - 1])) + page.text)
+    .join('');
+}
+
+// Read a PDF page by page, returning the text of every page with its 1-based number
+export async function readPdfBook(filePath) {
+  const data = new Uint8Array(fs.readFileSync(filePath));
+  const pdf = await getDocument({ data, useSystemFonts: true, verbosity: 0 }).promise;
+
+  try {
+    const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push({ pageNumber, text: pageItemsToText(content.items) });
+      page.cleanup();
+    }
+
+    return {
+      title: info?.Title || null,
+      author: info?.Author || null,
+      pages
+    };
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+// Build a lookup that maps a chunk's start and end offsets in the joined page text (see joinPages) to its
+// start and end pages
+export function createPageLocator(pages) {
+  const pageStarts = [];
+  let offset = 0;
+
+  pages.forEach((page, index) => {
+    offset += index === 0 ? 0 : pageSeparator(pages[index - 1]).length;
+    pageStarts.push({ pageNumber: page.pageNumber, offset });
+    offset += page.text.length;
+  });
+
+  const pageAt = (offset) => {
+    let pageNumber = pageStarts[0]?.pageNumber ?? null;
+    for (const start of pageStarts) {
+      if (start.offset > offset) break;
+      pageNumber = start.pageNumber;
+    }
+    return pageNumber;
+  };
+
+  return (startOffset, endOffset) => {
+    if (!Number.isFinite(startOffset) || !Number.isFinite(endOffset)) {
+      return { startPage: null, endPage: null };
+    }
+
+    return {
+      startPage: pageAt(startOffset),
+      endPage: pageAt(Math.max(endOffset - 1, startOffset))
+    };
+  };
+}
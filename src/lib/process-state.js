@@ -0,0 +1,12 @@
+// lib/process-state.js
+// Next.js may load a module once per route bundle, so state that must exist once per process (a worker,
+// a cache and its counters, a loaded index) is kept on globalThis rather than in module scope
+const states = globalThis.__processState ??= new Map();
+
+// State kept under a name, created with createState() the first time any bundle asks for it
+export function getProcessState(name, createState) {
+  if (!states.has(name)) {
+    states.set(name, createState());
+  }
+  return states.get(name);
+}
@@ -0,0 +1,131 @@
+// lib/providers.js
+// Where chat and embedding requests go. Every provider hands out an OpenAI SDK client (or a
+// look-alike) plus the model names to use with it, so callers never construct clients themselves.
+//
+// LLM_PROVIDER picks the chat provider and EMBEDDING_PROVIDER the embedding one (defaults to LLM_PROVIDER):
+//   openai      api.openai.com (OPENAI_API_KEY)
+//   azure       Azure OpenAI (AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, optional AZURE_OPENAI_API_VERSION);
+//               model names are deployment names
+//   compatible  any OpenAI-compatible server such as Ollama, vLLM or LM Studio (LLM_BASE_URL, optional LLM_API_KEY)
+//   offline     hashing embeddings and canned answers from lib/offline-provider.js, no network needed;
+//               it has no utility model, so reranking, checks and question rewriting use their local fallbacks
+// CHAT_MODEL, UTILITY_MODEL (question rewriting, grading and checks) and EMBEDDING_MODEL override the models
+import OpenAI, { AzureOpenAI } from 'openai';
+import { createOfflineClient } from './offline-provider.js';
+
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// USD per embedded token, for reporting what an ingestion cost
+const EMBEDDING_PRICES = {
+  'text-embedding-3-small': 0.02 / 1_000_000,
+  'text-embedding-3-large': 0.13 / 1_000_000,
+  'text-embedding-ada-002': 0.10 / 1_000_000
+};
+
+const OPENAI_MODELS = {
+  chat: 'gpt-4o',
+  utility: 'gpt-4o-mini',
+  embedding: 'text-embedding-3-small'
+};
+
+const PROVIDERS = {
+  openai: {
+    requiredEnv: ['OPENAI_API_KEY'],
+    models: OPENAI_MODELS,
+    paid: true,
+    createClient: () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+  },
+  azure: {
+    requiredEnv: ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY'],
+    models: OPENAI_MODELS,
+    paid: true,
+    createClient: () => new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_AZURE_API_VERSION
+    })
+  },
+  compatible: {
+    requiredEnv: ['LLM_BASE_URL'],
+    models: OPENAI_MODELS,
+    paid: false,
+    // Local servers usually ignore the key, but the SDK insists on one
+    createClient: () => new OpenAI({ baseURL: process.env.LLM_BASE_URL, apiKey: process.env.LLM_API_KEY || 'not-needed' })
+  },
+  offline: {
+    requiredEnv: [],
+    models: { chat: 'offline-chat', utility: null, embedding: 'offline-hash' },
+    paid: false,
+    createClient: createOfflineClient
+  }
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Embeddings stored before providers existed carry no model key; they came from this one
+export const LEGACY_EMBEDDING_MODEL_KEY = 'openai:text-embedding-3-small';
+
+// Provider configured in an environment variable, defaulting to OpenAI
+function readProviderName(variable, fallback = 'openai') {
+  const configured = process.env[variable]?.trim().toLowerCase();
+  if (!configured) {
+    return fallback;
+  }
+  if (!PROVIDERS[configured]) {
+    throw new Error(`Unknown ${variable} "${configured}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+  }
+  return configured;
+}
+
+export function getChatProviderName() {
+  return readProviderName('LLM_PROVIDER');
+}
+
+export function getEmbeddingProviderName() {
+  return readProviderName('EMBEDDING_PROVIDER', getChatProviderName());
+}
+
+// Environment variables a provider needs that are not set
+export function getMissingProviderSettings(name) {
+  return PROVIDERS[name].requiredEnv.filter(variable => !process.env[variable]);
+}
+
+// Clients are created on first use so importing this module never needs credentials
+const clients = new Map();
+
+function getClient(name) {
+  if (!clients.has(name)) {
+    clients.set(name, PROVIDERS[name].createClient());
+  }
+  return clients.get(name);
+}
+
+// Client and models for chat completions: { name, client, chatModel, utilityModel }.
+// utilityModel is null when the provider has none
+export function getChatProvider() {
+  const name = getChatProviderName();
+  const { models } = PROVIDERS[name];
+
+  return {
+    name,
+    client: getClient(name),
+    chatModel: process.env.CHAT_MODEL || models.chat,
+    utilityModel: models.utility === null ? null : process.env.UTILITY_MODEL || models.utility
+  };
+}
+
+// Client and model for embeddings: { name, client, model, modelKey, pricePerToken }.
+// modelKey is stored with every chunk, so embeddings from different models are never mixed
+export function getEmbeddingProvider() {
+  const name = getEmbeddingProviderName();
+  const { models, paid } = PROVIDERS[name];
+  const model = process.env.EMBEDDING_MODEL || models.embedding;
+
+  return {
+    name,
+    client: getClient(name),
+    model,
+    modelKey: `${name}:${model}`,
+    pricePerToken: paid ? EMBEDDING_PRICES[model] ?? 0 : 0
+  };
+}
@@ -0,0 +1,74 @@
+// lib/reranker.js
+import { gradeRelevance, hasUtilityModel } from './openai.js'
+import { tokenize, termCoverage } from './keyword-search.js'
+
+// Trade-off between relevance (1) and diversity (0) when picking the final chunks
+const MMR_LAMBDA = 0.7
+
+// Overlap between two chunks' terms, used to spot near-duplicate windows
+function jaccard(termsA, termsB) {
+  if (termsA.size === 0 || termsB.size === 0) return 0
+  let intersection = 0
+  termsA.forEach(term => {
+    if (termsB.has(term)) intersection++
+  })
+  return intersection / (termsA.size + termsB.size - intersection)
+}
+
+// Score candidates locally from embedding similarity and query-term coverage
+function scoreLocally(question, candidates) {
+  const queryTerms = new Set(tokenize(question))
+  return candidates.map(chunk =>
+    0.6 * Math.max(chunk.similarity || 0, 0) + 0.4 * termCoverage(queryTerms, chunk.terms)
+  )
+}
+
+// Rescore candidates with the configured reranker, falling back to the local scorer when it fails or
+// the provider has no utility model
+async function scoreCandidates(question, candidates) {
+  if ((process.env.RERANKER || 'llm').toLowerCase() === 'llm' && hasUtilityModel()) {
+    try {
+      return { method: 'llm', scores: await gradeRelevance(question, candidates) }
+    } catch (error) {
+      console.error('LLM reranking failed, using local scorer:', error.message)
+    }
+  }
+  return { method: 'local', scores: scoreLocally(question, candidates) }
+}
+
+// Rerank retrieved chunks against the question and pick a diverse top set with MMR
+export async function rerankChunks(question, chunks, topK = 5) {
+  if (chunks.length === 0) {
+    return []
+  }
+
+  const candidates = chunks.map(chunk => ({ ...chunk, terms: new Set(tokenize(chunk.content)) }))
+  const { method, scores } = await scoreCandidates(question, candidates)
+  candidates.forEach((chunk, index) => {
+    chunk.rerankScore = scores[index]
+  })
+
+  // Maximal marginal relevance: favour relevant chunks that don't repeat ones already picked
+  const selected = []
+  const remaining = [...candidates]
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0
+    let bestScore = -Infinity
+
+    remaining.forEach((chunk, index) => {
+      const redundancy = selected.reduce((max, picked) => Math.max(max, jaccard(chunk.terms, picked.terms)), 0)
+      const mmrScore = MMR_LAMBDA * chunk.rerankScore - (1 - MMR_LAMBDA) * redundancy
+      if (mmrScore > bestScore) {
+        bestScore = mmrScore
+        bestIndex = index
+      }
+    })
+
+    selected.push(remaining.splice(bestIndex, 1)[0])
+  }
+
+  console.log(`Reranked ${chunks.length} chunks with ${method} scorer, kept ${selected.length}`)
+
+  return selected.map(({ terms, ...chunk }) => ({ ...chunk, rerankMethod: method }))
+}
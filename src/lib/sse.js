@@ -0,0 +1,14 @@
+// lib/sse.js
+// Helpers for the routes that stream server-sent events
+
+// Headers for a server-sent event stream
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream; charset=utf-8',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive'
+}
+
+// Encode a single server-sent event
+export function encodeEvent(encoder, event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
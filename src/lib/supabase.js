@@ -1,5 +1,8 @@
 // lib/supabase.js
 import { createClient } from '@supabase/supabase-js'
+import { tokenize } from './keyword-search.js'
+import { summarizeBooks } from './book-scope.js'
+import { MIGRATIONS_TABLE } from './migrations.js'
 
 // Load environment variables
 import dotenv from 'dotenv'
@@ -29,13 +32,18 @@ export const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
 // Create regular Supabase client (for client-side operations)
 export const supabase = supabaseAnonKey ? createClient(supabaseUrl, supabaseAnonKey) : null
 
-// Function to search for similar book chunks
-export async function searchBookChunks(embedding, matchThreshold = 0.78, matchCount = 5) {
+// Function to search for similar book chunks, optionally only within some books or chapters.
+// options.metadata keeps chunks whose metadata contains it, and options.neighbors > 0 adds each match's
+// surrounding chunks as `neighbors` (see supabase/migrations; run npm run migrate first)
+export async function searchBookChunks(embedding, matchThreshold = 0.78, matchCount = 5, scopes = null, options = {}) {
   try {
     const { data, error } = await supabaseAdmin.rpc('match_book_chunks', {
       query_embedding: embedding,
       match_threshold: matchThreshold,
-      match_count: matchCount
+      match_count: matchCount,
+      ...(scopes ? { filter_scopes: scopes } : {}),
+      ...(options.metadata ? { filter_metadata: options.metadata } : {}),
+      ...(options.neighbors ? { neighbor_count: options.neighbors } : {})
     })
 
     if (error) {
@@ -50,35 +58,137 @@ export async function searchBookChunks(embedding, matchThreshold = 0.78, matchCo
   }
 }
 
-// Function to get book chunk statistics
-export async function getBookStats() {
+// Latest migration applied to the database (0 before the first), read from the table npm run migrate keeps
+export async function getSchemaVersion() {
+  const { data, error } = await supabaseAdmin
+    .from(MIGRATIONS_TABLE)
+    .select('version')
+    .order('version', { ascending: false })
+    .limit(1)
+
+  if (error) {
+    // The table only exists once migrations have been run
+    if (error.code === '42P01' || error.code === 'PGRST205') {
+      return 0
+    }
+    throw error
+  }
+
+  return data[0]?.version ?? 0
+}
+
+// Tables the app reads and writes, all created by supabase/migrations
+const REQUIRED_TABLES = ['book_chunks', 'conversations']
+
+// Required tables the database does not have, e.g. when it was set up by hand before a table was added
+export async function findMissingTables() {
+  const missing = []
+
+  for (const table of REQUIRED_TABLES) {
+    const { error } = await supabaseAdmin.from(table).select('id').limit(1)
+    if (error?.code === '42P01' || error?.code === 'PGRST205') {
+      missing.push(table)
+    } else if (error) {
+      throw error
+    }
+  }
+
+  return missing
+}
+
+// Function to search book chunks by keyword using Postgres full-text search, ranked with ts_rank_cd
+export async function keywordSearchBookChunks(queryText, matchCount = 20, scopes = null) {
+  try {
+    if (tokenize(queryText).length === 0) {
+      return []
+    }
+
+    // Ranked in Postgres over the whole table (supabase/migrations/0005_search_book_chunks_keyword.sql)
+    const { data, error } = await supabaseAdmin.rpc('search_book_chunks_keyword', {
+      query_text: queryText,
+      match_count: matchCount,
+      ...(scopes ? { filter_scopes: scopes } : {})
+    })
+
+    if (error) {
+      console.error('Error keyword searching book chunks:', error)
+      throw error
+    }
+
+    // pgvector columns come back as strings over PostgREST
+    return (data || []).map(({ rank, ...chunk }) => ({
+      ...chunk,
+      embedding: typeof chunk.embedding === 'string' ? JSON.parse(chunk.embedding) : chunk.embedding,
+      keywordScore: rank
+    }))
+  } catch (error) {
+    console.error('Error in keywordSearchBookChunks:', error)
+    throw error
+  }
+}
+
+// Function to get the chunks of a book whose chunk_index lies within [fromIndex, toIndex], in reading order
+export async function getBookChunkRange(bookTitle, fromIndex, toIndex) {
   try {
+    const chunkIndexes = Array.from({ length: Math.max(toIndex - fromIndex + 1, 0) }, (_, offset) => String(fromIndex + offset))
+
     const { data, error } = await supabaseAdmin
       .from('book_chunks')
-      .select(`
-        id,
-        metadata->>book_title as book_title,
-        metadata->>estimated_tokens as estimated_tokens
-      `)
+      .select('id, content, metadata')
+      .eq('metadata->>book_title', bookTitle)
+      .in('metadata->>chunk_index', chunkIndexes)
 
     if (error) {
-      console.error('Error getting book stats:', error)
+      console.error('Error getting chunk range:', error)
       throw error
     }
 
-    // Group by book title and calculate stats
-    const bookStats = {}
-    data.forEach(chunk => {
-      const title = chunk.book_title || 'Unknown'
-      if (!bookStats[title]) {
-        bookStats[title] = {
-          chunkCount: 0,
-          totalTokens: 0
-        }
+    return (data || []).sort((a, b) => a.metadata.chunk_index - b.metadata.chunk_index)
+  } catch (error) {
+    console.error('Error in getBookChunkRange:', error)
+    throw error
+  }
+}
+
+// Function to get book chunk statistics
+export async function getBookStats() {
+  try {
+    // Page past the API row limit, which would otherwise cut larger libraries short
+    const pageSize = 1000
+    const data = []
+
+    for (let from = 0; ; from += pageSize) {
+      const { data: page, error } = await supabaseAdmin
+        .from('book_chunks')
+        .select(`
+          id,
+          metadata->>book_title as book_title,
+          metadata->>chapter as chapter,
+          metadata->>chunk_index as chunk_index,
+          metadata->>file_path as file_path,
+          metadata->>token_count as token_count,
+          metadata->>estimated_tokens as estimated_tokens
+        `)
+        .order('id')
+        .range(from, from + pageSize - 1)
+
+      if (error) {
+        console.error('Error getting book stats:', error)
+        throw error
       }
-      bookStats[title].chunkCount += 1
-      bookStats[title].totalTokens += parseInt(chunk.estimated_tokens) || 0
-    })
+
+      data.push(...page)
+      if (page.length < pageSize) break
+    }
+
+    // Group by book title and calculate stats
+    const bookStats = summarizeBooks(data.map(chunk => ({
+      title: chunk.book_title || 'Unknown',
+      chapter: chunk.chapter || null,
+      chunkIndex: parseInt(chunk.chunk_index),
+      tokens: parseInt(chunk.token_count ?? chunk.estimated_tokens) || 0,
+      filePath: chunk.file_path
+    })))
 
     return {
       totalChunks: data.length,
@@ -0,0 +1,329 @@
+// lib/text-processing.js
+import { countTokens } from './tokenizer.js';
+
+// Default chunking configuration
+export const CHUNK_SIZE = 400; // Target tokens per chunk (roughly 300 words)
+export const CHUNK_OVERLAP = 50; // Tokens of trailing sentences repeated at the start of the next chunk
+
+// Bump when chunk boundaries or their metadata change so existing books are re-chunked on the next ingestion
+export const CHUNKER_VERSION = 5;
+
+// Headings longer than this are treated as ordinary paragraphs
+const MAX_HEADING_LENGTH = 80;
+
+// Text of at most this many characters (a heading with a one-line subtitle, say) is not a chunk on its own but
+// starts the next one, so every passage of the book stays in some chunk
+const MIN_CHUNK_LENGTH = 50;
+
+// Words followed by a period that do not end a sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'vs', 'etc', 'e.g', 'i.e', 'cf', 'al',
+  'no', 'vol', 'fig', 'inc', 'ltd', 'co', 'corp', 'dept', 'approx', 'jan', 'feb', 'mar', 'apr',
+  'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'u.s', 'u.k', 'a.m', 'p.m'
+]);
+
+const NUMBER_WORDS = 'one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty';
+const CHAPTER_HEADING = new RegExp(
+  `^(?:chapter|part|book)\\s+(?:\\d+|[ivxlcdm]+|(?:${NUMBER_WORDS})(?:[-\\s](?:${NUMBER_WORDS}))?)(?:\\s*[:.—–-]\\s*\\S.*)?$`,
+  'i'
+);
+
+// Collapse all whitespace, including hard line wraps, into single spaces
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Split text into paragraphs with their character offsets. Blank lines separate paragraphs when
+// the text has any (single newlines are then just line wraps), otherwise every line is one
+function splitParagraphs(text) {
+  const separator = /\n[ \t]*\n/.test(text) ? /\n[ \t]*\n\s*/g : /\n\s*/g;
+  const paragraphs = [];
+  let start = 0;
+
+  const push = (end) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (trimmed.length > 0) {
+      paragraphs.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+    }
+  };
+
+  for (const match of text.matchAll(separator)) {
+    push(match.index);
+    start = match.index + match[0].length;
+  }
+  push(text.length);
+
+  return paragraphs;
+}
+
+// Classify a paragraph as a chapter heading, a section heading or body text
+function detectHeading(paragraph) {
+  const line = normalizeWhitespace(paragraph);
+  if (line.length > MAX_HEADING_LENGTH) return null;
+
+  const markdown = line.match(/^(#{1,6})\s+(.+)$/);
+  if (markdown) {
+    return { level: markdown[1].length === 1 ? 'chapter' : 'section', title: markdown[2].trim() };
+  }
+
+  if (CHAPTER_HEADING.test(line)) {
+    return { level: 'chapter', title: line };
+  }
+
+  // Short all-caps lines without sentence punctuation, e.g. "THE COMMISSION" or "PROFESSIONAL OR AMATEUR?"
+  const letters = line.replace(/[^\p{L}]/gu, '');
+  if (letters.length >= 3 && letters === letters.toUpperCase() && letters !== letters.toLowerCase() && !/[.!,;:]$/.test(line)) {
+    return { level: 'section', title: line };
+  }
+
+  return null;
+}
+
+// Turn "SELLING IS A PREREQUISITE" into "Selling Is A Prerequisite" for display
+function formatHeading(title) {
+  if (title !== title.toUpperCase()) return title;
+  return title.toLowerCase().replace(/(^|[\s—–-])(\p{L})/gu, (_, before, letter) => before + letter.toUpperCase());
+}
+
+// Character offsets where sentences end inside a paragraph. Keeps abbreviations ("Mr.", "e.g."),
+// initials and decimals together and leaves the original punctuation untouched
+function findSentenceEnds(text) {
+  const ends = [];
+  const boundary = /[.!?…]+["'”’)\]]*(?=\s+["'“‘(\[]?[\p{Lu}\p{N}])/gu;
+
+  for (const match of text.matchAll(boundary)) {
+    const end = match.index + match[0].length;
+    if (match[0].startsWith('.') && match[0].length === 1) {
+      const word = text.slice(0, match.index).match(/(\S+)$/)?.[1]?.replace(/^["'“‘(\[]+/, '') || '';
+      if (ABBREVIATIONS.has(word.toLowerCase()) || /^\p{Lu}$/u.test(word)) continue;
+    }
+    ends.push(end);
+  }
+
+  return ends;
+}
+
+// Split a paragraph (or any piece of source text) into sentences with their offsets
+function splitSentences(piece) {
+  const sentences = [];
+  let start = 0;
+
+  for (const end of [...findSentenceEnds(piece.text), piece.text.length]) {
+    const raw = piece.text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const sentence = raw.trim();
+    if (sentence.length > 0) {
+      sentences.push({ text: sentence, start: piece.start + start + leading, end: piece.start + start + leading + sentence.length });
+    }
+    start = end;
+  }
+
+  return sentences;
+}
+
+// Split text such as a generated answer into sentences with their character offsets,
+// treating every line as its own paragraph so list items stay separate
+export function splitIntoSentences(text) {
+  return [...text.matchAll(/[^\n]+/g)].flatMap(line =>
+    splitSentences({ text: line[0], start: line.index, end: line.index + line[0].length })
+  );
+}
+
+// Cut text longer than a chunk between words
+function splitIntoWordRuns(piece, chunkSize) {
+  const runs = [];
+  let runStart = null;
+  let runEnd = null;
+  let runTokens = 0;
+
+  for (const word of piece.text.matchAll(/\S+/g)) {
+    const wordTokens = countTokens(` ${word[0]}`);
+    if (runStart !== null && runTokens + wordTokens > chunkSize) {
+      runs.push({ start: runStart, end: runEnd });
+      runStart = null;
+      runTokens = 0;
+    }
+    runStart = runStart ?? word.index;
+    runEnd = word.index + word[0].length;
+    runTokens += wordTokens;
+  }
+  if (runStart !== null) runs.push({ start: runStart, end: runEnd });
+
+  return runs.map(run => ({
+    text: piece.text.slice(run.start, run.end),
+    start: piece.start + run.start,
+    end: piece.start + run.end
+  }));
+}
+
+// Break a paragraph that is too long for one chunk into sentences, and sentences into word runs
+function splitLongParagraph(paragraph, chunkSize) {
+  return splitSentences(paragraph).flatMap(sentence =>
+    countTokens(sentence.text) <= chunkSize ? [sentence] : splitIntoWordRuns(sentence, chunkSize)
+  );
+}
+
+// Part of a piece of source text between two offsets, without surrounding whitespace
+function slicePiece(piece, start, end) {
+  const raw = piece.text.slice(start - piece.start, end - piece.start);
+  const leading = raw.length - raw.trimStart().length;
+  const text = raw.trim();
+  return { text, start: start + leading, end: start + leading + text.length };
+}
+
+// Split a piece into its leading part that fits in `room` tokens, in whole sentences when the first one
+// fits and between words otherwise, and the rest
+function splitToFit(piece, room) {
+  let end = null;
+  let used = 0;
+  for (const sentence of splitSentences(piece)) {
+    const tokens = countTokens(sentence.text) + 1;
+    if (used + tokens > room) break;
+    used += tokens;
+    end = sentence.end;
+  }
+  end = end ?? splitIntoWordRuns(piece, room)[0].end;
+
+  return [slicePiece(piece, piece.start, end), slicePiece(piece, end, piece.end)].filter(part => part.text.length > 0);
+}
+
+// Split text into chunks of at most chunkSize tokens that follow its structure: chunks end at
+// paragraph (or, for long paragraphs, sentence) boundaries, never span a heading, and start with
+// up to chunkOverlap tokens of trailing sentences from the previous chunk. Each chunk carries its
+// character offsets in `text` and the chapter/section headings detected above it
+export function chunkText(text, { chunkSize = CHUNK_SIZE, chunkOverlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let chapter = null;
+  let section = null;
+
+  // Units are the pieces a chunk is built from: headings, paragraphs or sentences of long paragraphs
+  let current = [];
+  let hasNewText = false;
+
+  // Each join between units adds about one token of whitespace
+  const currentTokens = () => current.reduce((sum, unit) => sum + unit.tokens + 1, 0);
+
+  const createUnit = (piece, paragraph, tokens = countTokens(piece.text), heading = null) => ({
+    text: normalizeWhitespace(piece.text),
+    source: piece,
+    tokens,
+    paragraph,
+    heading
+  });
+
+  const currentContent = () => current
+    .map((unit, index) => (index === 0 ? '' : unit.paragraph === current[index - 1].paragraph ? ' ' : '\n\n') + unit.text)
+    .join('');
+
+  // Whether the text gathered so far is long enough to stand as a chunk
+  const canEmit = () => hasNewText && currentContent().length > MIN_CHUNK_LENGTH;
+
+  const emit = () => {
+    const content = currentContent();
+
+    chunks.push({
+      content,
+      startOffset: current[0].source.start,
+      endOffset: current[current.length - 1].source.end,
+      tokens: countTokens(content),
+      chapter,
+      section
+    });
+  };
+
+  // Trailing sentences of the chunk just emitted, within the overlap budget
+  const takeOverlap = () => {
+    const overlap = [];
+    let budget = chunkOverlap;
+
+    for (let i = current.length - 1; i >= 0 && !current[i].heading; i--) {
+      const unit = current[i];
+      if (unit.tokens <= budget && i > 0) {
+        overlap.unshift(unit);
+        budget -= unit.tokens;
+        continue;
+      }
+
+      // Take whole sentences from the end of this unit, but never the entire chunk again
+      const sentences = splitSentences(unit.source);
+      for (let j = sentences.length - 1; j > 0 || (j === 0 && i > 0); j--) {
+        const tokens = countTokens(sentences[j].text);
+        if (tokens > budget) break;
+        overlap.unshift(createUnit(sentences[j], unit.paragraph, tokens));
+        budget -= tokens;
+      }
+      break;
+    }
+
+    return overlap;
+  };
+
+  splitParagraphs(text).forEach((paragraph, paragraphIndex) => {
+    const heading = detectHeading(paragraph.text);
+
+    if (heading) {
+      if (canEmit()) {
+        emit();
+        current = [];
+        hasNewText = false;
+      } else if (!hasNewText) {
+        // Overlap carried from the previous section does not belong under a new heading
+        current = current.filter(unit => unit.heading);
+      }
+
+      const title = formatHeading(heading.title);
+      const previous = current[current.length - 1];
+
+      if (heading.level === 'chapter') {
+        chapter = title;
+        section = null;
+      } else if (previous?.heading === 'chapter' && section === null) {
+        // A title line right below "Chapter One" names the chapter rather than a section
+        chapter = `${chapter}: ${title}`;
+      } else {
+        section = title;
+      }
+
+      current.push(createUnit(paragraph, paragraphIndex, undefined, heading.level));
+      return;
+    }
+
+    const paragraphTokens = countTokens(paragraph.text);
+    const pieces = paragraphTokens <= chunkSize ? [paragraph] : splitLongParagraph(paragraph, chunkSize);
+
+    while (pieces.length > 0) {
+      const piece = pieces.shift();
+      const unit = createUnit(piece, paragraphIndex, piece === paragraph ? paragraphTokens : undefined);
+
+      if (currentTokens() + unit.tokens > chunkSize) {
+        if (canEmit()) {
+          emit();
+          current = takeOverlap();
+          // Drop overlap that would push the new unit past the chunk size
+          while (current.length > 0 && currentTokens() + unit.tokens > chunkSize) {
+            current.shift();
+          }
+        } else if (current.length > 0) {
+          // Headings or text too short to stand alone were carried over; only as much as fits joins them
+          const parts = splitToFit(piece, chunkSize - currentTokens());
+          if (parts.length > 1) {
+            pieces.unshift(...parts);
+            continue;
+          }
+        }
+      }
+
+      current.push(unit);
+      hasNewText = true;
+    }
+  });
+
+  // The last chunk is kept however short, as there is no next one to carry it
+  if (hasNewText) {
+    emit();
+  }
+
+  return chunks;
+}
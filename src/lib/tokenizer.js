@@ -0,0 +1,42 @@
+// lib/tokenizer.js
+import { Tiktoken } from 'js-tiktoken/lite';
+import cl100kBase from 'js-tiktoken/ranks/cl100k_base';
+import o200kBase from 'js-tiktoken/ranks/o200k_base';
+
+const ENCODINGS = {
+  cl100k_base: cl100kBase,
+  o200k_base: o200kBase
+};
+
+// Every chat message is wrapped in a few special tokens, and the reply is primed with a few more
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// Encoders are large, so each one is built on first use and then reused
+const encoders = new Map();
+
+// GPT-4o models use o200k_base; the embedding models and older chat models use cl100k_base
+function encodingForModel(model) {
+  return /^(gpt-4o|gpt-4\.1|o\d)/.test(model) ? 'o200k_base' : 'cl100k_base';
+}
+
+function getEncoder(model) {
+  const encoding = encodingForModel(model);
+  if (!encoders.has(encoding)) {
+    encoders.set(encoding, new Tiktoken(ENCODINGS[encoding]));
+  }
+  return encoders.get(encoding);
+}
+
+// Exact number of tokens the model sees for a piece of text
+export function countTokens(text, model = 'text-embedding-3-small') {
+  return getEncoder(model).encode(text || '').length;
+}
+
+// Prompt tokens of a chat completion request, including the per-message framing
+export function countMessageTokens(messages, model = 'gpt-4o') {
+  return messages.reduce(
+    (sum, message) => sum + TOKENS_PER_MESSAGE + countTokens(message.content, model),
+    TOKENS_PER_REPLY
+  );
+}
@@ -0,0 +1,184 @@
+// lib/vector-index.js
+// In-memory nearest-neighbour search over unit-length Float32 vectors stored one row after another in a
+// single array, so similarity is a plain dot product. Large libraries get an inverted-file (IVF) index:
+// vectors are grouped around k-means centroids and a search only scans the groups nearest the query
+
+// Below this many vectors an exact scan is fast enough that an IVF index is not worth building
+export const IVF_MIN_VECTORS = 10000;
+
+// Sample size per centroid when training, and the k-means iterations run on it
+const TRAINING_POINTS_PER_LIST = 30;
+const KMEANS_ITERATIONS = 8;
+
+// Share of the groups scanned per search, with a minimum so small indexes keep a good recall
+const PROBE_SHARE = 0.1;
+const MIN_PROBES = 8;
+
+// Copy values into a unit-length Float32Array; a zero vector stays zero and matches nothing
+export function normalizeVector(values) {
+  const vector = Float32Array.from(values);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) {
+    norm += vector[i] * vector[i];
+  }
+
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) {
+      vector[i] /= norm;
+    }
+  }
+  return vector;
+}
+
+// Dot product of a query with row `row` of a flat vector array
+function dotRow(vectors, row, query, dimensions) {
+  const offset = row * dimensions;
+  let sum = 0;
+  for (let i = 0; i < dimensions; i++) {
+    sum += vectors[offset + i] * query[i];
+  }
+  return sum;
+}
+
+// Index of the centroid closest to row `row`
+function nearestList(vectors, row, centroids, listCount, dimensions) {
+  const vector = vectors.subarray(row * dimensions, (row + 1) * dimensions);
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let list = 0; list < listCount; list++) {
+    const score = dotRow(centroids, list, vector, dimensions);
+    if (score > bestScore) {
+      best = list;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// Spherical k-means on an evenly spread sample of the rows, seeded with sample rows themselves
+function trainCentroids(vectors, count, dimensions, listCount) {
+  const sampleSize = Math.min(count, listCount * TRAINING_POINTS_PER_LIST);
+  const sample = Array.from({ length: sampleSize }, (_, index) => Math.floor(index * count / sampleSize));
+
+  const centroids = new Float32Array(listCount * dimensions);
+  for (let list = 0; list < listCount; list++) {
+    const row = sample[Math.floor(list * sampleSize / listCount)];
+    centroids.set(vectors.subarray(row * dimensions, (row + 1) * dimensions), list * dimensions);
+  }
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+    const sums = new Float64Array(listCount * dimensions);
+    const sizes = new Uint32Array(listCount);
+
+    sample.forEach(row => {
+      const list = nearestList(vectors, row, centroids, listCount, dimensions);
+      sizes[list]++;
+      for (let i = 0; i < dimensions; i++) {
+        sums[list * dimensions + i] += vectors[row * dimensions + i];
+      }
+    });
+
+    for (let list = 0; list < listCount; list++) {
+      // A centroid that attracted nothing keeps its place
+      if (sizes[list] === 0) continue;
+      centroids.set(normalizeVector(sums.subarray(list * dimensions, (list + 1) * dimensions)), list * dimensions);
+    }
+  }
+
+  return centroids;
+}
+
+// Build the IVF structure for a set of vectors: { listCount, trainedCount, centroids, assignments }.
+// Centroids of a previous build are kept until the number of vectors has doubled or halved since they
+// were trained, and knownAssignments[row] (-1 when unknown) saves looking up rows that have not changed
+export function buildIvf(vectors, dimensions, { previous = null, knownAssignments = null } = {}) {
+  const count = vectors.length / dimensions;
+  const reuse = previous &&
+    previous.centroids.length === previous.listCount * dimensions &&
+    count <= previous.trainedCount * 2 &&
+    count >= previous.trainedCount / 2;
+
+  const listCount = reuse ? previous.listCount : Math.max(1, Math.round(Math.sqrt(count)));
+  const centroids = reuse ? previous.centroids : trainCentroids(vectors, count, dimensions, listCount);
+  const assignments = new Uint32Array(count);
+
+  for (let row = 0; row < count; row++) {
+    const known = reuse && knownAssignments ? knownAssignments[row] : -1;
+    assignments[row] = known >= 0 ? known : nearestList(vectors, row, centroids, listCount, dimensions);
+  }
+
+  return { listCount, trainedCount: reuse ? previous.trainedCount : count, centroids, assignments };
+}
+
+// Keep the best `limit` results in descending order as candidates arrive
+function insertResult(results, limit, row, similarity) {
+  if (results.length === limit && similarity <= results[results.length - 1].similarity) return;
+
+  let position = results.length;
+  while (position > 0 && results[position - 1].similarity < similarity) {
+    position--;
+  }
+  results.splice(position, 0, { row, similarity });
+  if (results.length > limit) {
+    results.pop();
+  }
+}
+
+// Index over a flat Float32Array of unit vectors, with an optional IVF structure from buildIvf
+export function createVectorIndex(vectors, dimensions, ivf = null) {
+  const size = dimensions > 0 ? vectors.length / dimensions : 0;
+
+  // Rows of every group, one after another, with where each group starts
+  let listStarts = null;
+  let listRows = null;
+  if (ivf) {
+    listStarts = new Uint32Array(ivf.listCount + 1);
+    ivf.assignments.forEach(list => listStarts[list + 1]++);
+    for (let list = 0; list < ivf.listCount; list++) {
+      listStarts[list + 1] += listStarts[list];
+    }
+
+    const next = listStarts.slice(0, ivf.listCount);
+    listRows = new Uint32Array(size);
+    ivf.assignments.forEach((list, row) => {
+      listRows[next[list]++] = row;
+    });
+  }
+
+  // Rows most similar to the query, best first: [{ row, similarity }]. A filter(row) restricts the search
+  // to some rows and scans them all, skipping the IVF index
+  function search(query, { limit = 10, minSimilarity = -Infinity, filter = null } = {}) {
+    const normalized = normalizeVector(query);
+    const results = [];
+
+    const consider = (row) => {
+      const similarity = dotRow(vectors, row, normalized, dimensions);
+      if (similarity >= minSimilarity) {
+        insertResult(results, limit, row, similarity);
+      }
+    };
+
+    if (!ivf || filter) {
+      for (let row = 0; row < size; row++) {
+        if (!filter || filter(row)) consider(row);
+      }
+      return results;
+    }
+
+    const probes = Math.min(ivf.listCount, Math.max(MIN_PROBES, Math.ceil(ivf.listCount * PROBE_SHARE)));
+    const nearestLists = [];
+    for (let list = 0; list < ivf.listCount; list++) {
+      insertResult(nearestLists, probes, list, dotRow(ivf.centroids, list, normalized, dimensions));
+    }
+
+    nearestLists.forEach(({ row: list }) => {
+      for (let position = listStarts[list]; position < listStarts[list + 1]; position++) {
+        consider(listRows[position]);
+      }
+    });
+    return results;
+  }
+
+  return { search, size, dimensions, vectors, ivf };
+}
@@ -0,0 +1,99 @@
+// lib/vector-store.js
+// Every backend exposes the same interface:
+//   searchBookChunks(embedding, matchThreshold, matchCount, scopes) -> chunks with a `similarity` score
+//   keywordSearchBookChunks(queryText, matchCount, scopes) -> chunks with a `keywordScore` (BM25 locally, ts_rank_cd in Supabase)
+//   getBookChunkRange(bookTitle, fromIndex, toIndex) -> a book's chunks in that chunk_index range, in order
+//   getBookStats() -> { totalChunks, totalBooks, bookBreakdown }
+// where optional scopes (see lib/book-scope.js) restrict results to some books or chapters
+import { reciprocalRankFusion } from './keyword-search.js'
+import { cosineSimilarity } from './local-storage.js'
+
+// Loose similarity floor for the vector side of hybrid search; rank fusion does the real filtering
+const HYBRID_MIN_SIMILARITY = 0.1
+
+// Backends are imported lazily so an unused one never loads (lib/supabase.js throws without its env vars)
+const BACKENDS = {
+  supabase: () => import('./supabase.js'),
+  local: () => import('./local-storage.js')
+}
+
+// Pick the backend from VECTOR_STORE, defaulting to Supabase when it is configured and local files otherwise
+export function getVectorStoreName() {
+  const configured = process.env.VECTOR_STORE?.trim().toLowerCase()
+
+  if (configured) {
+    if (!BACKENDS[configured]) {
+      throw new Error(`Unknown VECTOR_STORE "${configured}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`)
+    }
+    return configured
+  }
+
+  return process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'local'
+}
+
+let vectorStorePromise = null
+
+// Load the configured backend once and reuse it
+export function getVectorStore() {
+  if (!vectorStorePromise) {
+    const name = getVectorStoreName()
+    vectorStorePromise = BACKENDS[name]()
+      .then(backend => ({
+        name,
+        searchBookChunks: backend.searchBookChunks,
+        keywordSearchBookChunks: backend.keywordSearchBookChunks,
+        getBookChunkRange: backend.getBookChunkRange,
+        getBookStats: backend.getBookStats
+      }))
+      .catch(error => {
+        vectorStorePromise = null
+        throw error
+      })
+  }
+  return vectorStorePromise
+}
+
+// Search for similar chunks in the configured backend
+export async function searchBookChunks(embedding, matchThreshold, matchCount, scopes = null) {
+  const store = await getVectorStore()
+  return store.searchBookChunks(embedding, matchThreshold, matchCount, scopes)
+}
+
+// Search by keyword relevance in the configured backend
+export async function keywordSearchBookChunks(queryText, matchCount, scopes = null) {
+  const store = await getVectorStore()
+  return store.keywordSearchBookChunks(queryText, matchCount, scopes)
+}
+
+// Combine vector and keyword rankings with reciprocal rank fusion
+export async function hybridSearchBookChunks(queryText, embedding, matchCount = 20, scopes = null) {
+  const store = await getVectorStore()
+  const [vectorResults, keywordResults] = await Promise.all([
+    store.searchBookChunks(embedding, HYBRID_MIN_SIMILARITY, matchCount, scopes),
+    store.keywordSearchBookChunks(queryText, matchCount, scopes)
+  ])
+
+  const fused = reciprocalRankFusion([vectorResults, keywordResults])
+    .slice(0, matchCount)
+    .map(({ embedding: chunkEmbedding, ...chunk }) => ({
+      ...chunk,
+      // Keyword-only hits still need a similarity score for confidence and display
+      similarity: chunk.similarity ?? (chunkEmbedding ? cosineSimilarity(embedding, chunkEmbedding) : 0)
+    }))
+
+  console.log(`Hybrid search: ${vectorResults.length} vector + ${keywordResults.length} keyword results fused into ${fused.length}`)
+
+  return fused
+}
+
+// Get a book's chunks with chunk_index between fromIndex and toIndex from the configured backend
+export async function getBookChunkRange(bookTitle, fromIndex, toIndex) {
+  const store = await getVectorStore()
+  return store.getBookChunkRange(bookTitle, fromIndex, toIndex)
+}
+
+// Get chunk statistics from the configured backend
+export async function getBookStats() {
+  const store = await getVectorStore()
+  return store.getBookStats()
+}
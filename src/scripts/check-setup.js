@@ -2,8 +2,14 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
-import { loadBookChunks, getBookStats } from '../lib/local-storage.js';
+import { getBookStats, getVectorStoreName } from '../lib/vector-store.js';
+import { getChatProvider, getEmbeddingProvider, getChatProviderName, getEmbeddingProviderName, getMissingProviderSettings } from '../lib/providers.js';
+import { getExpectedSchemaVersion } from '../lib/migrations.js';
+import { SUPPORTED_EXTENSIONS, isSupportedBookFile } from '../lib/book-loader.js';
+
+// Load environment variables from .env.local
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,27 +21,33 @@ async function checkSetup() {
 
   // 1. Check environment variables
   console.log('1️⃣ Checking Environment Variables...');
-  const hasOpenAIKey = !!process.env.OPENAI_API_KEY;
-  console.log(`   OpenAI API Key: ${hasOpenAIKey ? '✅ Present' : '❌ Missing'}`);
-  
-  if (!hasOpenAIKey) {
-    console.log('   ⚠️  Create a .env.local file with OPENAI_API_KEY=your_key_here');
+  let hasProviderSettings = false;
+  try {
+    const providerNames = [...new Set([getChatProviderName(), getEmbeddingProviderName()])];
+    const missingSettings = [...new Set(providerNames.flatMap(getMissingProviderSettings))];
+    hasProviderSettings = missingSettings.length === 0;
+    console.log(`   Chat provider: ${getChatProviderName()}, embedding provider: ${getEmbeddingProviderName()}`);
+    console.log(`   Provider settings: ${hasProviderSettings ? '✅ Present' : `❌ Missing ${missingSettings.join(', ')}`}`);
+
+    if (!hasProviderSettings) {
+      console.log(`   ⚠️  Add ${missingSettings.join(', ')} to your .env.local file (or set LLM_PROVIDER=offline)`);
+    }
+  } catch (error) {
+    console.log('   ❌', error.message);
   }
 
-  // 2. Test OpenAI connection
-  console.log('\n2️⃣ Testing OpenAI Connection...');
-  if (hasOpenAIKey) {
+  // 2. Test the chat provider connection
+  console.log('\n2️⃣ Testing Chat Provider Connection...');
+  if (hasProviderSettings) {
     try {
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      await openai.models.list();
-      console.log('   ✅ OpenAI API connection successful');
+      const { name, client, chatModel } = getChatProvider();
+      await client.models.list();
+      console.log(`   ✅ ${name} connection successful (chat model: ${chatModel})`);
     } catch (error) {
-      console.log('   ❌ OpenAI API connection failed:', error.message);
+      console.log('   ❌ Chat provider connection failed:', error.message);
     }
   } else {
-    console.log('   ⏭️  Skipped (no API key)');
+    console.log('   ⏭️  Skipped (missing provider settings)');
   }
 
   // 3. Check books directory
@@ -54,17 +66,17 @@ async function checkSetup() {
   // 4. Check for book files
   console.log('\n4️⃣ Checking Book Files...');
   const files = fs.readdirSync(BOOKS_DIRECTORY);
-  const txtFiles = files.filter(file => file.endsWith('.txt'));
+  const bookFiles = files.filter(isSupportedBookFile);
   
   console.log(`   Total files: ${files.length}`);
-  console.log(`   .txt files: ${txtFiles.length}`);
+  console.log(`   Book files (${SUPPORTED_EXTENSIONS.join(', ')}): ${bookFiles.length}`);
   
-  if (txtFiles.length === 0) {
-    console.log('   ⚠️  No .txt files found');
-    console.log('   💡 Add your book files (.txt format) to this directory');
+  if (bookFiles.length === 0) {
+    console.log('   ⚠️  No book files found');
+    console.log('   💡 Add your book files (.txt, .epub or .pdf format) to this directory');
   } else {
     console.log('   ✅ Book files found:');
-    txtFiles.forEach(file => {
+    bookFiles.forEach(file => {
       const filePath = path.join(BOOKS_DIRECTORY, file);
       const stats = fs.statSync(filePath);
       console.log(`      - ${file} (${Math.round(stats.size / 1024)}KB)`);
@@ -73,18 +85,40 @@ async function checkSetup() {
 
   // 5. Check processed chunks
   console.log('\n5️⃣ Checking Processed Book Data...');
+  let totalChunks = 0;
+  let schemaOutdated = false;
   try {
-    const chunks = await loadBookChunks();
-    console.log(`   Total chunks: ${chunks.length}`);
+    console.log(`   Vector store: ${getVectorStoreName()}`);
+
+    if (getVectorStoreName() === 'supabase') {
+      const { getSchemaVersion, findMissingTables } = await import('../lib/supabase.js');
+      const schemaVersion = await getSchemaVersion();
+      const expectedVersion = getExpectedSchemaVersion();
+      console.log(`   Database schema: ${schemaVersion < expectedVersion ? `❌ version ${schemaVersion}, expected ${expectedVersion}` : `✅ version ${schemaVersion}`}`);
+
+      // A recorded version does not prove the tables are there, e.g. when one was dropped by hand
+      const missingTables = await findMissingTables();
+      if (missingTables.length > 0) {
+        console.log(`   ❌ Missing tables: ${missingTables.join(', ')}`);
+      }
+
+      schemaOutdated = schemaVersion < expectedVersion || missingTables.length > 0;
+      if (schemaVersion < expectedVersion) {
+        console.log('   💡 Run: npm run migrate');
+      } else if (schemaOutdated) {
+        console.log(`   💡 Every migration is recorded as applied; run the ones creating ${missingTables.join(', ')} from supabase/migrations again`);
+      }
+    }
+
+    const stats = await getBookStats();
+    totalChunks = stats.totalChunks;
+    console.log(`   Total chunks: ${stats.totalChunks}`);
     
-    if (chunks.length === 0) {
+    if (stats.totalChunks === 0) {
       console.log('   ⚠️  No processed chunks found');
-      console.log('   💡 Run: node src/scripts/ingest-books.js');
+      console.log('   💡 Run: npm run ingest');
     } else {
       console.log('   ✅ Processed data found');
-      
-      // Get detailed stats
-      const stats = await getBookStats();
       console.log(`   Books processed: ${stats.totalBooks}`);
       console.log('   Book breakdown:');
       Object.entries(stats.bookBreakdown).forEach(([title, data]) => {
@@ -97,49 +131,45 @@ async function checkSetup() {
 
   // 6. Test embedding generation
   console.log('\n6️⃣ Testing Embedding Generation...');
-  if (hasOpenAIKey) {
+  if (hasProviderSettings) {
     try {
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      
-      const response = await openai.embeddings.create({
-        model: 'text-embedding-3-small',
+      const { client, model } = getEmbeddingProvider();
+      const response = await client.embeddings.create({
+        model,
         input: 'test embedding',
       });
       
-      console.log('   ✅ Embedding generation successful');
+      console.log(`   ✅ Embedding generation successful (model: ${model})`);
       console.log(`   Embedding dimensions: ${response.data[0].embedding.length}`);
     } catch (error) {
       console.log('   ❌ Embedding generation failed:', error.message);
     }
   } else {
-    console.log('   ⏭️  Skipped (no API key)');
+    console.log('   ⏭️  Skipped (missing provider settings)');
   }
 
   // 7. Summary and next steps
   console.log('\n📋 Summary & Next Steps:');
   
-  if (!hasOpenAIKey) {
-    console.log('❌ Add OpenAI API key to .env.local file');
+  if (!hasProviderSettings) {
+    console.log('❌ Add your model provider settings to .env.local file');
   }
   
-  if (txtFiles.length === 0) {
-    console.log('❌ Add .txt book files to src/books/ directory');
+  if (bookFiles.length === 0) {
+    console.log('❌ Add .txt, .epub or .pdf book files to src/books/ directory');
   }
   
-  try {
-    const chunks = await loadBookChunks();
-    if (chunks.length === 0 && txtFiles.length > 0) {
-      console.log('❌ Run ingestion: node src/scripts/ingest-books.js');
-    }
-    
-    if (hasOpenAIKey && txtFiles.length > 0 && chunks.length > 0) {
-      console.log('✅ Setup complete! Your AI Book Assistant should work.');
-      console.log('🚀 Run: npm run dev');
-    }
-  } catch (error) {
-    console.log('❌ Check your setup and try again');
+  if (schemaOutdated) {
+    console.log('❌ Update the database schema: npm run migrate');
+  }
+
+  if (totalChunks === 0 && bookFiles.length > 0) {
+    console.log('❌ Run ingestion: npm run ingest');
+  }
+  
+  if (hasProviderSettings && !schemaOutdated && bookFiles.length > 0 && totalChunks > 0) {
+    console.log('✅ Setup complete! Your AI Book Assistant should work.');
+    console.log('🚀 Run: npm run dev');
   }
 }
 
@@ -0,0 +1,235 @@
+// src/scripts/ingest.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SUPPORTED_EXTENSIONS, isSupportedBookFile } from '../lib/book-loader.js';
+import { CHUNK_SIZE, CHUNK_OVERLAP } from '../lib/text-processing.js';
+import { INGEST_STORES, getIngestStore } from '../lib/ingest-stores.js';
+import { ingestBooks } from '../lib/ingest-pipeline.js';
+import { getEmbeddingProvider, getEmbeddingProviderName, getMissingProviderSettings } from '../lib/providers.js';
+import { getVectorStoreName } from '../lib/vector-store.js';
+import { getEmbeddingCacheStats } from '../lib/embedding-cache.js';
+
+// Load environment variables from .env.local
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_BOOKS_DIRECTORY = path.join(__dirname, '..', 'books'); // Put your files here
+
+const USAGE = `Usage: npm run ingest -- [options]
+
+Options:
+  --store <name>           Where to store chunks: ${INGEST_STORES.join(' or ')}
+                           (default: VECTOR_STORE, else supabase when configured, else local)
+  --book <name>            Only ingest books whose file name contains <name>; repeatable
+  --books-dir <path>       Directory to read books from (default: src/books)
+  --chunk-size <tokens>    Maximum tokens per chunk (default: ${CHUNK_SIZE})
+  --chunk-overlap <tokens> Tokens repeated between consecutive chunks (default: ${CHUNK_OVERLAP})
+  --force                  Ignore previous results and re-embed everything
+  --help                   Show this message`;
+
+// Parse command line flags into ingestion options
+function parseArgs(argv) {
+  const options = { books: [], booksDir: DEFAULT_BOOKS_DIRECTORY, chunkSize: CHUNK_SIZE, chunkOverlap: CHUNK_OVERLAP, force: false, help: false };
+
+  const readValue = (flag, index) => {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`${flag} expects a value`);
+    }
+    return value;
+  };
+
+  const readInteger = (flag, index, min) => {
+    const value = Number(readValue(flag, index));
+    if (!Number.isInteger(value) || value < min) {
+      throw new Error(`${flag} expects an integer of at least ${min}`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+
+    if (flag === '--store') {
+      options.store = readValue(flag, i++).toLowerCase();
+    } else if (flag === '--book') {
+      options.books.push(readValue(flag, i++));
+    } else if (flag === '--books-dir') {
+      options.booksDir = path.resolve(readValue(flag, i++));
+    } else if (flag === '--chunk-size') {
+      options.chunkSize = readInteger(flag, i++, 50);
+    } else if (flag === '--chunk-overlap') {
+      options.chunkOverlap = readInteger(flag, i++, 0);
+    } else if (flag === '--force') {
+      options.force = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  if (options.store && !INGEST_STORES.includes(options.store)) {
+    throw new Error(`--store must be one of: ${INGEST_STORES.join(', ')}`);
+  }
+
+  return options;
+}
+
+// Main ingestion function
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Default to the app's vector store so ingestion writes where chat reads
+  const storeName = options.store || getVectorStoreName();
+  console.log(`🚀 Starting book ingestion into the ${storeName} store...\n`);
+
+  // Verify environment variables
+  let provider;
+  try {
+    const missingSettings = getMissingProviderSettings(getEmbeddingProviderName());
+    if (missingSettings.length > 0) {
+      console.error(`❌ The ${getEmbeddingProviderName()} embedding provider needs: ${missingSettings.join(', ')}`);
+      console.log('📝 Make sure .env.local file exists in project root with:');
+      missingSettings.forEach(variable => console.log(`   ${variable}=...`));
+      console.log('   (or set EMBEDDING_PROVIDER=offline to ingest without network access)');
+      process.exit(1);
+    }
+    provider = getEmbeddingProvider();
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+
+  if (storeName === 'supabase' && (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY)) {
+    console.error('❌ SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required');
+    process.exit(1);
+  }
+
+  let store;
+  try {
+    store = await getIngestStore(storeName);
+    if (storeName === 'supabase') {
+      console.log('🧪 Testing Supabase connection...');
+      await store.checkConnection();
+      console.log('✅ Supabase connection successful\n');
+    }
+  } catch (error) {
+    console.error(`❌ ${storeName} store unavailable:`, error.message);
+    process.exit(1);
+  }
+
+  // Test the embedding provider's connection
+  try {
+    console.log(`🧪 Testing ${provider.name} connection (embedding model: ${provider.model})...`);
+    await provider.client.models.list();
+    console.log(`✅ ${provider.name} connection successful\n`);
+  } catch (error) {
+    console.error(`❌ ${provider.name} connection failed:`, error.message);
+    if (error.message.includes('401')) {
+      console.log('💡 This usually means your API key is invalid');
+    }
+    process.exit(1);
+  }
+
+  // Check if books directory exists
+  if (!fs.existsSync(options.booksDir)) {
+    console.log(`📁 Creating books directory: ${options.booksDir}`);
+    fs.mkdirSync(options.booksDir, { recursive: true });
+    console.log(`📚 Please add your ${SUPPORTED_EXTENSIONS.join(', ')} book files to this directory and run the script again`);
+    return;
+  }
+
+  const supportedFiles = fs.readdirSync(options.booksDir)
+    .filter(isSupportedBookFile)
+    .map(file => path.join(options.booksDir, file));
+
+  if (supportedFiles.length === 0) {
+    console.error(`❌ No supported files (${SUPPORTED_EXTENSIONS.join(', ')}) found in the books directory`);
+    console.log(`📁 Please add your book files to: ${options.booksDir}`);
+    return;
+  }
+
+  const filters = options.books.map(name => name.toLowerCase());
+  const bookFiles = filters.length === 0
+    ? supportedFiles
+    : supportedFiles.filter(file => filters.some(name => path.basename(file).toLowerCase().includes(name)));
+
+  if (bookFiles.length === 0) {
+    console.error(`❌ No books match: ${options.books.join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`📚 Found ${bookFiles.length} book(s) to process:`);
+  bookFiles.forEach(file => console.log(`  - ${path.basename(file)}`));
+
+  const startTime = Date.now();
+  const summary = await ingestBooks(bookFiles, {
+    store,
+    provider,
+    chunkSize: options.chunkSize,
+    chunkOverlap: options.chunkOverlap,
+    force: options.force,
+    // Only a run over the whole default library knows which books were removed
+    prune: filters.length === 0 && options.booksDir === DEFAULT_BOOKS_DIRECTORY
+  });
+  const duration = Math.round((Date.now() - startTime) / 1000);
+
+  console.log(`\n🎉 Ingestion complete!`);
+  console.log(`📊 Chunks stored for these books: ${summary.totalStored}`);
+  console.log(`🧮 Chunks embedded this run: ${summary.totalEmbedded}`);
+  const cacheStats = getEmbeddingCacheStats();
+  console.log(cacheStats.enabled
+    ? `📦 Embedding cache: ${summary.totalCached} chunks reused (${cacheStats.hits} hits, ${cacheStats.misses} misses)`
+    : '📦 Embedding cache: off');
+  console.log(`⏭️  Unchanged books skipped: ${summary.skippedBooks}`);
+  console.log(`⏱️  Time taken: ${duration} seconds`);
+  console.log(`🔢 Embedding tokens used: ${summary.totalEmbeddedTokens}`);
+  console.log(`💰 Embedding cost: $${(summary.totalEmbeddedTokens * provider.pricePerToken).toFixed(4)} USD`);
+
+  if (summary.failedBooks.length > 0) {
+    console.log(`\n❌ ${summary.failedBooks.length} book(s) could not be processed; their previous chunks were kept:`);
+    summary.failedBooks.forEach(result => console.log(`   - ${path.basename(result.filePath)}: ${result.error}`));
+  }
+
+  if (summary.failedChunks.length > 0) {
+    console.log(`\n⚠️  ${summary.failedChunks.length} chunks could not be embedded or stored and are missing from the index:`);
+    summary.failedChunks.slice(0, 20).forEach(failure => {
+      console.log(`   - ${failure.bookTitle} #${failure.chunkIndex}: ${failure.error} ("${failure.preview}...")`);
+    });
+    if (summary.failedChunks.length > 20) {
+      console.log(`   ... and ${summary.failedChunks.length - 20} more`);
+    }
+    console.log('   💡 Run the ingestion again to retry them; unchanged chunks will not be re-embedded');
+  }
+
+  if (summary.failedBooks.length > 0 || summary.failedChunks.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (summary.totalStored > 0) {
+    console.log(`\n🚀 Ready to test! Run 'npm run dev' and visit http://localhost:3000`);
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
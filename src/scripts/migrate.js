@@ -0,0 +1,133 @@
+// src/scripts/migrate.js
+import pg from 'pg';
+import { listMigrations, MIGRATIONS_TABLE } from '../lib/migrations.js';
+
+// Load environment variables from .env.local
+import dotenv from 'dotenv';
+dotenv.config({ path: '.env.local' });
+
+const USAGE = `Usage: npm run migrate -- [options]
+
+Applies the pending migrations in supabase/migrations to the database in SUPABASE_DB_URL
+(the Postgres connection string from the Supabase dashboard, with ?sslmode=require).
+
+Options:
+  --status   List applied and pending migrations without changing anything
+  --help     Show this message`;
+
+// Any constant works; it only keeps two runs from migrating at the same time
+const MIGRATION_LOCK_ID = 7315;
+
+// Parse command line flags
+function parseArgs(argv) {
+  const options = { status: false, help: false };
+
+  for (const flag of argv) {
+    if (flag === '--status') {
+      options.status = true;
+    } else if (flag === '--help' || flag === '-h') {
+      options.help = true;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  return options;
+}
+
+// Migrations recorded as applied, keyed by version
+async function getAppliedMigrations(client) {
+  await client.query(`
+    create table if not exists ${MIGRATIONS_TABLE} (
+      version int primary key,
+      name text not null,
+      checksum text not null,
+      applied_at timestamptz not null default now()
+    )
+  `);
+  const { rows } = await client.query(`select version, name, checksum, applied_at from ${MIGRATIONS_TABLE} order by version`);
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+// Run one migration and record it, all or nothing
+async function applyMigration(client, migration) {
+  try {
+    await client.query('begin');
+    await client.query(migration.sql);
+    await client.query(
+      `insert into ${MIGRATIONS_TABLE} (version, name, checksum) values ($1, $2, $3)`,
+      [migration.version, migration.name, migration.checksum]
+    );
+    await client.query('commit');
+  } catch (error) {
+    await client.query('rollback');
+    throw error;
+  }
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.SUPABASE_DB_URL) {
+    console.error('❌ SUPABASE_DB_URL is not set');
+    console.log('💡 Copy the connection string from Supabase (Project Settings → Database) into .env.local');
+    process.exit(1);
+  }
+
+  const migrations = listMigrations();
+  const client = new pg.Client({ connectionString: process.env.SUPABASE_DB_URL });
+  await client.connect();
+
+  try {
+    await client.query('select pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    const applied = await getAppliedMigrations(client);
+
+    // A migration edited after it ran is not re-run; say so, since the database will not match the file
+    migrations
+      .filter(migration => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum)
+      .forEach(migration => console.log(`⚠️  ${migration.fileName} changed after it was applied; add a new migration instead`));
+
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    if (options.status) {
+      migrations.forEach(migration => {
+        const record = applied.get(migration.version);
+        console.log(record
+          ? `✅ ${migration.fileName} (applied ${record.applied_at.toISOString()})`
+          : `⏳ ${migration.fileName} (pending)`);
+      });
+      console.log(`\n📊 Schema version ${Math.max(0, ...applied.keys())}, ${pending.length} pending`);
+      return;
+    }
+
+    if (pending.length === 0) {
+      console.log(`✅ Database schema is up to date (version ${Math.max(0, ...applied.keys())})`);
+      return;
+    }
+
+    for (const migration of pending) {
+      console.log(`🔧 Applying ${migration.fileName}...`);
+      await applyMigration(client, migration);
+    }
+    console.log(`\n🎉 Applied ${pending.length} migration(s); schema is at version ${pending.at(-1).version}`);
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -1,6 +1,6 @@
-// test-openai.js - Simple test to verify OpenAI works
+// test-openai.js - Simple test to verify the configured chat and embedding providers work
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
+import { getChatProvider, getEmbeddingProvider, getChatProviderName, getEmbeddingProviderName, getMissingProviderSettings } from '../lib/providers.js';
 
 // Load environment variables
 console.log('Loading .env.local file...');
@@ -12,30 +12,29 @@ if (result.error) {
 }
 
 console.log(`✅ Environment loaded from: ${result.parsed ? '.env.local' : 'system'}`);
-console.log(`🔑 API Key found: ${process.env.OPENAI_API_KEY ? 'Yes' : 'No'}`);
 
-if (process.env.OPENAI_API_KEY) {
-  console.log(`🔍 Key preview: ${process.env.OPENAI_API_KEY.substring(0, 20)}...`);
-} else {
-  console.error('❌ No API key found');
+const missingSettings = [...new Set([getChatProviderName(), getEmbeddingProviderName()].flatMap(getMissingProviderSettings))];
+console.log(`🔌 Providers: ${getChatProviderName()} (chat), ${getEmbeddingProviderName()} (embeddings)`);
+
+if (missingSettings.length > 0) {
+  console.error(`❌ Missing settings: ${missingSettings.join(', ')}`);
   process.exit(1);
 }
 
-// Test OpenAI connection
+// Test the chat provider connection
 try {
-  console.log('\n🧪 Testing OpenAI connection...');
-  const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-  });
+  console.log('\n🧪 Testing chat provider connection...');
+  const chat = getChatProvider();
 
-  const response = await openai.models.list();
-  console.log('✅ OpenAI connection successful!');
+  const response = await chat.client.models.list();
+  console.log(`✅ ${chat.name} connection successful!`);
   console.log(`📋 Available models: ${response.data.length}`);
 
   // Test embedding generation
   console.log('\n🧪 Testing embedding generation...');
-  const embedding = await openai.embeddings.create({
-    model: 'text-embedding-3-small',
+  const { client, model } = getEmbeddingProvider();
+  const embedding = await client.embeddings.create({
+    model,
     input: 'Hello, this is a test.',
   });
   
@@ -44,7 +43,7 @@ try {
   console.log('\n🎉 All tests passed! Your setup is working correctly.');
   
 } catch (error) {
-  console.error('❌ OpenAI test failed:', error.message);
+  console.error('❌ Provider test failed:', error.message);
   
   if (error.message.includes('401')) {
     console.log('💡 Error 401 usually means your API key is invalid or expired');
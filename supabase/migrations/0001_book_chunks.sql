@@ -0,0 +1,29 @@
+-- Table of embedded book chunks written by the ingestion pipeline (lib/ingest-stores.js) and read by
+-- lib/supabase.js. Safe to run against a database where the table was created by hand.
+-- vector(1536) matches text-embedding-3-small; other embedding models need a migration changing it.
+
+create extension if not exists vector;
+
+create table if not exists book_chunks (
+  id bigserial primary key,
+  content text not null,
+  metadata jsonb not null default '{}'::jsonb,
+  embedding vector(1536),
+  created_at timestamptz not null default now()
+);
+
+-- Approximate nearest-neighbour search with cosine distance, as used by match_book_chunks
+create index if not exists book_chunks_embedding_idx
+  on book_chunks using hnsw (embedding vector_cosine_ops);
+
+-- Full-text search behind the search_book_chunks_keyword function (0005) that keywordSearchBookChunks calls
+create index if not exists book_chunks_content_fts_idx
+  on book_chunks using gin (to_tsvector('english', content));
+
+-- Lookups of a book's chunks by title and position (ingestion, passages, scoped searches)
+create index if not exists book_chunks_book_title_idx
+  on book_chunks ((metadata->>'book_title'), (metadata->>'chunk_index'));
+
+-- Metadata filters of match_book_chunks
+create index if not exists book_chunks_metadata_idx
+  on book_chunks using gin (metadata jsonb_path_ops);
@@ -0,0 +1,41 @@
+-- Vector search over book_chunks used by lib/supabase.js.
+-- filter_scopes restricts matches to some books or chunk ranges (chapters), e.g.
+--   [{"bookTitle": "Sell or Be Sold", "chunkFrom": 40, "chunkTo": 95}]
+-- with null bounds meaning the whole book.
+
+drop function if exists match_book_chunks(vector, float, int);
+
+create or replace function match_book_chunks (
+  query_embedding vector(1536),
+  match_threshold float,
+  match_count int,
+  filter_scopes jsonb default null
+)
+returns table (
+  id bigint,
+  content text,
+  metadata jsonb,
+  similarity float
+)
+language sql stable
+as $$
+  select
+    book_chunks.id,
+    book_chunks.content,
+    book_chunks.metadata,
+    1 - (book_chunks.embedding <=> query_embedding) as similarity
+  from book_chunks
+  where 1 - (book_chunks.embedding <=> query_embedding) > match_threshold
+    and (
+      filter_scopes is null
+      or exists (
+        select 1
+        from jsonb_array_elements(filter_scopes) as scope
+        where book_chunks.metadata->>'book_title' = scope->>'bookTitle'
+          and (scope->>'chunkFrom' is null or (book_chunks.metadata->>'chunk_index')::int >= (scope->>'chunkFrom')::int)
+          and (scope->>'chunkTo' is null or (book_chunks.metadata->>'chunk_index')::int <= (scope->>'chunkTo')::int)
+      )
+    )
+  order by book_chunks.embedding <=> query_embedding
+  limit match_count;
+$$;
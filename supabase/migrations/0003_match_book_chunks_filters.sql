@@ -0,0 +1,66 @@
+-- match_book_chunks with metadata filters and neighbouring chunks.
+-- filter_metadata keeps matches whose metadata contains it, e.g. {"author": "Grant Cardone", "file_type": "epub"}.
+-- neighbor_count > 0 returns with every match the chunks up to that many positions before and after it in
+-- the same book, in reading order, as neighbors: [{"id": ..., "content": ..., "metadata": ...}]
+
+drop function if exists match_book_chunks(vector, float, int, jsonb);
+
+create or replace function match_book_chunks (
+  query_embedding vector(1536),
+  match_threshold float,
+  match_count int,
+  filter_scopes jsonb default null,
+  filter_metadata jsonb default null,
+  neighbor_count int default 0
+)
+returns table (
+  id bigint,
+  content text,
+  metadata jsonb,
+  similarity float,
+  neighbors jsonb
+)
+language sql stable
+as $$
+  with matches as (
+    select
+      book_chunks.id,
+      book_chunks.content,
+      book_chunks.metadata,
+      1 - (book_chunks.embedding <=> query_embedding) as similarity
+    from book_chunks
+    where 1 - (book_chunks.embedding <=> query_embedding) > match_threshold
+      and (filter_metadata is null or book_chunks.metadata @> filter_metadata)
+      and (
+        filter_scopes is null
+        or exists (
+          select 1
+          from jsonb_array_elements(filter_scopes) as scope
+          where book_chunks.metadata->>'book_title' = scope->>'bookTitle'
+            and (scope->>'chunkFrom' is null or (book_chunks.metadata->>'chunk_index')::int >= (scope->>'chunkFrom')::int)
+            and (scope->>'chunkTo' is null or (book_chunks.metadata->>'chunk_index')::int <= (scope->>'chunkTo')::int)
+        )
+      )
+    order by book_chunks.embedding <=> query_embedding
+    limit match_count
+  )
+  select
+    matches.id,
+    matches.content,
+    matches.metadata,
+    matches.similarity,
+    case when neighbor_count > 0 then coalesce((
+      select jsonb_agg(
+        jsonb_build_object('id', neighbor.id, 'content', neighbor.content, 'metadata', neighbor.metadata)
+        order by (neighbor.metadata->>'chunk_index')::int
+      )
+      from book_chunks as neighbor
+      where neighbor.metadata->>'book_title' = matches.metadata->>'book_title'
+        and neighbor.id <> matches.id
+        and (neighbor.metadata->>'chunk_index')::int
+          between (matches.metadata->>'chunk_index')::int - neighbor_count
+          and (matches.metadata->>'chunk_index')::int + neighbor_count
+    ), '[]'::jsonb) else '[]'::jsonb end as neighbors
+  from matches
+  order by matches.similarity desc;
+$$;
@@ -0,0 +1,19 @@
+-- Conversation threads saved by lib/conversation-store.js when Supabase is configured, one row per thread
+-- with its messages as a JSON array. Safe to run against a database where the table was created by hand.
+-- Ids are the UUID strings the app generates; text keeps a malformed id in a URL a plain "not found".
+
+create table if not exists conversations (
+  id text primary key,
+  title text not null default 'New conversation',
+  messages jsonb not null default '[]'::jsonb check (jsonb_typeof(messages) = 'array'),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Lets the conversation list show how long each thread is without fetching its messages
+alter table conversations
+  add column if not exists message_count int generated always as (jsonb_array_length(messages)) stored;
+
+-- The sidebar lists threads most recently updated first
+create index if not exists conversations_updated_at_idx
+  on conversations (updated_at desc);
@@ -0,0 +1,44 @@
+-- Full-text search ranked in the database, behind keywordSearchBookChunks in lib/supabase.js.
+-- The question is parsed with plainto_tsquery, so no user text is read as tsquery syntax, and its terms are
+-- then OR-ed: a natural-language question rarely has every word in one chunk, and ts_rank_cd puts the chunks
+-- matching most terms, closest together, first. The match uses the GIN index on to_tsvector('english', content).
+-- filter_scopes works as in match_book_chunks. rank is normalized to between 0 and 1.
+
+create or replace function search_book_chunks_keyword (
+  query_text text,
+  match_count int,
+  filter_scopes jsonb default null
+)
+returns table (
+  id bigint,
+  content text,
+  metadata jsonb,
+  embedding vector(1536),
+  rank float
+)
+language sql stable
+as $$
+  with query as (
+    select replace(plainto_tsquery('english', query_text)::text, ' & ', ' | ')::tsquery as terms
+  )
+  select
+    book_chunks.id,
+    book_chunks.content,
+    book_chunks.metadata,
+    book_chunks.embedding,
+    ts_rank_cd(to_tsvector('english', book_chunks.content), query.terms, 32) as rank
+  from book_chunks, query
+  where to_tsvector('english', book_chunks.content) @@ query.terms
+    and (
+      filter_scopes is null
+      or exists (
+        select 1
+        from jsonb_array_elements(filter_scopes) as scope
+        where book_chunks.metadata->>'book_title' = scope->>'bookTitle'
+          and (scope->>'chunkFrom' is null or (book_chunks.metadata->>'chunk_index')::int >= (scope->>'chunkFrom')::int)
+          and (scope->>'chunkTo' is null or (book_chunks.metadata->>'chunk_index')::int <= (scope->>'chunkTo')::int)
+      )
+    )
+  order by rank desc, book_chunks.id
+  limit match_count;
+$$;